@@ -0,0 +1,78 @@
+/**
+ * FenwickTree - 树状数组（Binary Indexed Tree）
+ *
+ * 支持 O(log n) 的单点更新和前缀和查询，O(n) 建树
+ * 内部使用 1-based 数组，对外的索引均为 0-based
+ *
+ * @class
+ */
+class FenwickTree {
+  /**
+   * @param {Array<number>} values - 初始值
+   */
+  constructor(values = []) {
+    this.build(values);
+  }
+
+  /**
+   * 用初始值重新建树（O(n)）
+   * @param {Array<number>} values
+   */
+  build(values) {
+    const size = values.length;
+    this.size = size;
+    this.tree = new Float64Array(size + 1);
+
+    for (let i = 1; i <= size; i++) {
+      this.tree[i] += values[i - 1];
+      const parent = i + (i & -i);
+      if (parent <= size) {
+        this.tree[parent] += this.tree[i];
+      }
+    }
+  }
+
+  /**
+   * 在末尾追加一个值（O(log n)）
+   * @param {number} value
+   */
+  push(value) {
+    const i = this.size + 1;
+    if (i >= this.tree.length) {
+      // 容量翻倍，避免每次追加都复制数组
+      const tree = new Float64Array(Math.max(16, this.tree.length * 2));
+      tree.set(this.tree);
+      this.tree = tree;
+    }
+    // 节点 i 覆盖 (i - lowbit(i), i]，其中除自身外的部分都已存在
+    this.tree[i] = value + this.prefix(i - 1) - this.prefix(i - (i & -i));
+    this.size = i;
+  }
+
+  /**
+   * 单点增加
+   * @param {number} index - 0-based 索引
+   * @param {number} delta - 增量
+   */
+  add(index, delta) {
+    if (delta === 0) return;
+    for (let i = index + 1; i <= this.size; i += i & -i) {
+      this.tree[i] += delta;
+    }
+  }
+
+  /**
+   * 前缀和：[0, count) 范围内的值之和
+   * @param {number} count
+   * @returns {number}
+   */
+  prefix(count) {
+    let total = 0;
+    for (let i = Math.min(count, this.size); i > 0; i -= i & -i) {
+      total += this.tree[i];
+    }
+    return total;
+  }
+}
+
+export default FenwickTree;
@@ -0,0 +1,344 @@
+import FenwickTree from './fenwick-tree';
+
+// 尚未测量任何元素且未配置预估高度时使用的默认高度
+const DEFAULT_ITEM_HEIGHT = 50;
+
+/**
+ * HeightCache - 按索引缓存元素高度
+ *
+ * - 已测量的元素使用实际高度
+ * - 未测量的元素依次使用 getItemHeight(item, index)、estimatedItemHeight、已测量元素的平均高度
+ * - 数据插入/删除时通过 splice 平移缓存，保证索引与数据一致
+ *
+ * 偏移量计算基于两棵树状数组，查询均为 O(log n)：
+ * - values：已测量高度或 getItemHeight 的预估值
+ * - defaults：使用统一预估高度的元素计数（平均高度变化时无需重建）
+ *
+ * @class
+ */
+class HeightCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.estimatedItemHeight - 预估高度
+   * @param {Function} options.getItemHeight - 预估函数 (item, index) => number
+   * @param {Function} options.getItem - 根据索引获取数据项 (index) => item
+   */
+  constructor(options = {}) {
+    this.estimatedItemHeight = options.estimatedItemHeight || 0;
+    this.getItemHeight = typeof options.getItemHeight === 'function' ? options.getItemHeight : null;
+    this.getItem = options.getItem || (() => undefined);
+
+    this.length = 0;
+    this.heights = [];    // index -> 实际高度（undefined 表示未测量）
+    this.estimates = [];  // index -> getItemHeight 的预估值（undefined 表示使用统一预估高度）
+    this.measuredCount = 0;
+    this.measuredTotal = 0;
+
+    this.values = new FenwickTree();
+    this.defaults = new FenwickTree();
+  }
+
+  /**
+   * 重置缓存
+   * @param {number} length - 数据长度
+   */
+  reset(length) {
+    this.length = length;
+    this.heights = new Array(length);
+    this.estimates = new Array(length);
+    this.measuredCount = 0;
+    this.measuredTotal = 0;
+
+    for (let i = 0; i < length; i++) {
+      this.estimates[i] = this._estimate(i);
+    }
+    this._rebuild();
+  }
+
+  /**
+   * 获取已测量的高度
+   * @param {number} index
+   * @returns {number|undefined}
+   */
+  get(index) {
+    return this.heights[index];
+  }
+
+  /**
+   * 记录测量高度
+   * @param {number} index
+   * @param {number} height
+   */
+  set(index, height) {
+    if (index < 0 || index >= this.length) return;
+    const previous = this.heights[index];
+    if (previous === height) return;
+
+    if (previous !== undefined) {
+      this.measuredTotal -= previous;
+    } else {
+      this.measuredCount++;
+    }
+    this._update(index, () => {
+      this.heights[index] = height;
+    });
+    this.measuredTotal += height;
+  }
+
+  /**
+   * 使指定索引的缓存失效（数据变化后需要重新测量）
+   * @param {number} index
+   */
+  delete(index) {
+    if (index < 0 || index >= this.length) return;
+    const previous = this.heights[index];
+
+    this._update(index, () => {
+      this.heights[index] = undefined;
+      this.estimates[index] = this._estimate(index);
+    });
+
+    if (previous !== undefined) {
+      this.measuredCount--;
+      this.measuredTotal -= previous;
+    }
+  }
+
+  /**
+   * 数据插入/删除后平移缓存（调用前数据数组应已更新）
+   * @param {number} index - 变化发生的位置
+   * @param {number} deleteCount - 删除的数量
+   * @param {number} insertCount - 插入的数量
+   */
+  splice(index, deleteCount, insertCount) {
+    for (let i = index; i < index + deleteCount; i++) {
+      const previous = this.heights[i];
+      if (previous !== undefined) {
+        this.measuredCount--;
+        this.measuredTotal -= previous;
+      }
+    }
+
+    // 末尾追加（最常见的场景）只需扩展树，无需重建
+    if (deleteCount === 0 && index === this.length) {
+      for (let i = index; i < index + insertCount; i++) {
+        this.heights.push(undefined);
+        this.estimates.push(this._estimate(i));
+        const [value, isDefault] = this._valueOf(i);
+        this.values.push(value);
+        this.defaults.push(isDefault);
+      }
+      this.length += insertCount;
+      return;
+    }
+
+    const inserted = new Array(insertCount);
+    for (let i = 0; i < insertCount; i++) {
+      inserted[i] = this._estimate(index + i);
+    }
+    // 不使用 splice(...items)，避免大量插入时超出参数个数限制
+    const tail = index + deleteCount;
+    this.heights = this.heights.slice(0, index).concat(new Array(insertCount), this.heights.slice(tail));
+    this.estimates = this.estimates.slice(0, index).concat(inserted, this.estimates.slice(tail));
+    this.length += insertCount - deleteCount;
+    this._rebuild();
+  }
+
+  /**
+   * 导出已测量的高度（用于保存滚动状态）
+   * @returns {Array<Array<number>>} [[index, height], ...]
+   */
+  getMeasured() {
+    const entries = [];
+    for (let i = 0; i < this.length; i++) {
+      if (this.heights[i] !== undefined) {
+        entries.push([i, this.heights[i]]);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * 导入已测量的高度（恢复滚动状态），超出范围的索引会被忽略
+   * @param {Array<Array<number>>} entries - [[index, height], ...]
+   */
+  setMeasured(entries) {
+    entries.forEach(([index, height]) => {
+      if (height >= 0) this.set(index, height);
+    });
+  }
+
+  /**
+   * 按新旧索引的对应关系重排缓存（批量修改数据后一次性重建，调用前数据数组应已更新）
+   * @param {Array<number>} origins - 新索引 -> 旧索引，-1 表示新增或已修改的数据（需要重新测量）
+   */
+  remap(origins) {
+    const heights = this.heights;
+    const estimates = this.estimates;
+
+    this.length = origins.length;
+    this.heights = new Array(this.length);
+    this.estimates = new Array(this.length);
+    this.measuredCount = 0;
+    this.measuredTotal = 0;
+
+    for (let i = 0; i < this.length; i++) {
+      const from = origins[i];
+      if (from < 0) {
+        this.estimates[i] = this._estimate(i);
+        continue;
+      }
+      const height = heights[from];
+      this.heights[i] = height;
+      this.estimates[i] = estimates[from];
+      if (height !== undefined) {
+        this.measuredCount++;
+        this.measuredTotal += height;
+      }
+    }
+    this._rebuild();
+  }
+
+  /**
+   * 获取未测量元素的预估高度
+   * @param {number} index
+   * @returns {number}
+   */
+  getEstimatedHeight(index) {
+    const estimate = this.estimates[index];
+    return estimate !== undefined ? estimate : this.getDefaultHeight();
+  }
+
+  /**
+   * 获取统一的预估高度（estimatedItemHeight 或已测量元素的平均高度）
+   * @returns {number}
+   */
+  getDefaultHeight() {
+    if (this.estimatedItemHeight > 0) return this.estimatedItemHeight;
+    return this.measuredCount > 0 ? this.measuredTotal / this.measuredCount : DEFAULT_ITEM_HEIGHT;
+  }
+
+  /**
+   * 获取元素高度（已测量的用实际高度，未测量的用预估高度）
+   * @param {number} index
+   * @returns {number}
+   */
+  getHeight(index) {
+    const height = this.heights[index];
+    return height !== undefined ? height : this.getEstimatedHeight(index);
+  }
+
+  /**
+   * 获取元素顶部距列表顶部的偏移（即 [0, index) 的总高度）
+   * @param {number} index
+   * @returns {number}
+   */
+  getOffset(index) {
+    const count = Math.max(0, Math.min(index, this.length));
+    return this.values.prefix(count) + this.defaults.prefix(count) * this.getDefaultHeight();
+  }
+
+  /**
+   * 获取列表总高度
+   * @returns {number}
+   */
+  getTotalHeight() {
+    return this.getOffset(this.length);
+  }
+
+  /**
+   * 获取指定范围内元素的总高度
+   * @param {number} startIndex
+   * @param {number} endIndex
+   * @returns {number}
+   */
+  sum(startIndex, endIndex) {
+    if (endIndex <= startIndex) return 0;
+    return this.getOffset(endIndex) - this.getOffset(startIndex);
+  }
+
+  /**
+   * 根据偏移量查找所在元素的索引（在树上二分，O(log n)）
+   * @param {number} offset - 距列表顶部的像素偏移
+   * @returns {number}
+   */
+  getIndexAtOffset(offset) {
+    if (this.length === 0) return 0;
+
+    const defaultHeight = this.getDefaultHeight();
+    const valueTree = this.values.tree;
+    const defaultTree = this.defaults.tree;
+    let position = 0;
+    let remaining = offset;
+
+    let step = 1;
+    while (step * 2 <= this.length) step *= 2;
+
+    // 找到满足 prefix(position) <= offset 的最大 position
+    for (; step > 0; step >>= 1) {
+      const next = position + step;
+      if (next > this.length) continue;
+      const height = valueTree[next] + defaultTree[next] * defaultHeight;
+      if (height <= remaining) {
+        position = next;
+        remaining -= height;
+      }
+    }
+
+    return Math.min(position, this.length - 1);
+  }
+
+  /**
+   * 调用 getItemHeight 预估单个元素的高度
+   * @param {number} index
+   * @returns {number|undefined}
+   */
+  _estimate(index) {
+    if (!this.getItemHeight) return undefined;
+    const height = this.getItemHeight(this.getItem(index), index);
+    return height > 0 ? height : undefined;
+  }
+
+  /**
+   * 获取元素在两棵树中的值
+   * @param {number} index
+   * @returns {Array<number>} [value, isDefault]
+   */
+  _valueOf(index) {
+    const height = this.heights[index];
+    if (height !== undefined) return [height, 0];
+    const estimate = this.estimates[index];
+    if (estimate !== undefined) return [estimate, 0];
+    return [0, 1];
+  }
+
+  /**
+   * 修改单个元素的状态并同步到树中
+   * @param {number} index
+   * @param {Function} mutate - 修改 heights/estimates 的函数
+   */
+  _update(index, mutate) {
+    const [oldValue, oldDefault] = this._valueOf(index);
+    mutate();
+    const [newValue, newDefault] = this._valueOf(index);
+    this.values.add(index, newValue - oldValue);
+    this.defaults.add(index, newDefault - oldDefault);
+  }
+
+  /**
+   * 根据 heights/estimates 重建树（O(n)）
+   */
+  _rebuild() {
+    const values = new Array(this.length);
+    const defaults = new Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      const [value, isDefault] = this._valueOf(i);
+      values[i] = value;
+      defaults[i] = isDefault;
+    }
+    this.values.build(values);
+    this.defaults.build(defaults);
+  }
+}
+
+export default HeightCache;
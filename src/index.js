@@ -1,3 +1,29 @@
+import HeightCache from './height-cache';
+import PageCache from './page-cache';
+
+// 会打断 scrollToItem 滚动的用户操作
+const USER_SCROLL_EVENTS = ['wheel', 'touchstart', 'pointerdown', 'keydown'];
+
+// 平滑滚动的时长范围（毫秒），按滚动距离在范围内取值
+const SMOOTH_SCROLL_MIN_DURATION = 200;
+const SMOOTH_SCROLL_MAX_DURATION = 800;
+
+// stateKey 对应的 sessionStorage 键名前缀，以及滚动停止后保存状态的延迟（毫秒）
+const STATE_STORAGE_PREFIX = 'fast-scrollview:';
+const STATE_SAVE_DELAY = 300;
+
+// 滚动区域的默认最大尺寸（像素）：浏览器对元素尺寸有上限（Firefox 约 1790 万像素），列表总高度超出时缩放滚动条
+const MAX_SCROLL_SIZE = 10000000;
+
+// 滚轮事件 deltaMode 为按行滚动时每行的像素数
+const WHEEL_LINE_HEIGHT = 16;
+
+// 复用池（pooling）中每种类型最多保留的元素数量
+const ELEMENT_POOL_SIZE = 50;
+
+// 分帧渲染（frameBudget）时缓冲区的填充最多等待空闲多久（毫秒），超时后在下一次空闲前强制执行
+const FILL_IDLE_TIMEOUT = 100;
+
 /**
  * FastScrollView - 高性能虚拟滚动库
  *
@@ -14,13 +40,57 @@ class FastScrollView {
    * 创建 FastScrollView 实例
    * @param {HTMLElement|string} container - 容器元素或选择器
    * @param {Array} items - 要渲染的数据数组
-   * @param {Function} render - 渲染函数 (item, index, totalSize) => HTMLElement | string
+   * @param {Function} render - 渲染函数 (item, index, totalSize, state) => HTMLElement | string，state 为 { selected, recycled }（recycled 见 pooling）
    * @param {Object} options - 可选配置
    * @param {number} options.bufferThreshold - 缓冲阈值（默认2，表示提前2个屏幕高度触发渲染）
    * @param {Function} options.onScroll - 滚动回调
-   * @param {string} options.align - 对齐方式 'top'(默认) 或 'bottom'
+   * @param {string} options.align - 对齐方式 'top'(默认) 或 'bottom'，也可以写作 'start' / 'end'
+   * @param {string} options.orientation - 滚动方向 'vertical'(默认) 或 'horizontal'
+   * @param {number} options.columns - 网格模式的固定列数
+   * @param {number} options.minColumnWidth - 网格模式的最小列宽，列数随容器宽度变化（columns 优先）
+   * @param {Function} options.getGroupKey - 分组函数 (item, index) => key，分组变化处插入分组标题
+   * @param {Function} options.groupHeader - 分组标题渲染函数 (key, item, index) => HTMLElement | string
+   * @param {boolean} options.stickyHeaders - 当前分组的标题是否吸顶（默认 true）
    * @param {number} options.batchSize - 每批渲染的元素数量（默认20）
    * @param {HTMLElement|string} options.loader - 自定义加载指示器（HTMLElement 或 HTML 字符串）
+   * @param {number} options.recycleThreshold - 回收阈值（默认0不回收，表示超出视口多少个屏幕高度的元素会被卸载）
+   * @param {number} options.estimatedItemHeight - 未测量元素的预估高度（默认使用已测量元素的平均高度）
+   * @param {Function} options.getItemHeight - 预估函数 (item, index) => number，优先于 estimatedItemHeight
+   * @param {boolean} options.observeResize - 是否使用 ResizeObserver 自动重新测量（默认 true）
+   * @param {Function} options.onItemsVisible - 元素进入视口的批量回调 ([{ index, item }]) => void
+   * @param {Function} options.onItemsHidden - 元素离开视口的批量回调 ([{ index, item }]) => void
+   * @param {number} options.visibilityRatio - 元素可见比例达到多少才算进入视口（0-1，默认 0）
+   * @param {number} options.visibilityDwell - 元素需要持续可见多久（毫秒）才触发进入事件（默认 0）
+   * @param {Function} options.onReachEnd - 本地数据已全部渲染且滚动到底部时调用 ({ item, count }) => Promise<Array|{ items, hasMore }>
+   * @param {Function} options.onReachStart - 本地数据已全部渲染且滚动到顶部时调用，参数和返回值同 onReachEnd
+   * @param {boolean} options.hasMoreEnd - 底部是否还有更多数据（提供 onReachEnd 时默认 true）
+   * @param {boolean} options.hasMoreStart - 顶部是否还有更多数据（提供 onReachStart 时默认 true）
+   * @param {HTMLElement|string} options.loaderError - 加载失败时加载指示器显示的内容（默认「加载失败，点击重试」）
+   * @param {number} options.totalCount - 数据源模式的数据总数（配合 loadRange 使用，此时忽略 items 参数）
+   * @param {Function} options.loadRange - 数据源模式按页加载数据 (start, end) => Promise<Array>，返回 [start, end) 范围内的数据
+   * @param {number} options.pageSize - 数据源模式每页的数据条数（默认 100）
+   * @param {number} options.maxCachedPages - 数据源模式最多缓存的页数，超出时淘汰最久未使用的页（默认 50）
+   * @param {HTMLElement|string|Function} options.placeholder - 未加载数据的占位内容，函数签名 (index) => HTMLElement | string
+   * @param {Function} options.onLoadRangeError - loadRange 失败时的回调 (error, start, end) => void
+   * @param {Function} options.getKey - 数据项的唯一标识 (item) => key，用于在数据变化时复用已渲染的元素
+   * @param {Function} options.update - 原地更新元素 (element, item, index, state) => void，提供后 setItem / refresh 不再重新创建元素
+   * @param {boolean|Object} options.animate - 数据增删时的进入/离开动画：true 使用 CSS 类名 fsv-enter / fsv-leave，
+   *   或 { enter, leave }，每项为 true（CSS 类名）、false（不使用动画）或函数 (element, item, index) => Animation | Promise
+   * @param {Object} options.initialState - getState() 返回的状态，首次渲染直接从保存的位置开始
+   * @param {string} options.stateKey - 滚动状态在 sessionStorage 中的标识，提供后自动保存和恢复
+   * @param {boolean|string} options.accessibility - 无障碍模式：true / 'list' 使用 list 语义，'listbox' 使用 listbox 语义；
+   *   开启后支持键盘导航（方向键、PageUp/PageDown、Home/End）和焦点保持
+   * @param {boolean|string} options.selection - 选择模式：'single' 单选，'multiple'（或 true）多选；
+   *   选中状态按 getKey（未提供时按数据项本身）记录，不受元素卸载和索引变化的影响
+   * @param {Function} options.onSelectionChange - 选中项变化时调用 (selectedItems) => void
+   * @param {Window|HTMLElement|string} options.scrollElement - 负责滚动的元素（window 或容器的祖先元素），默认为容器本身；
+   *   列表嵌入页面中、由整个页面滚动时使用，滚动位置等均相对于列表起始边计算
+   * @param {number} options.maxScrollSize - 滚动区域的最大尺寸（默认 10000000 像素），列表总高度超出时按比例缩放滚动条
+   * @param {boolean} options.pooling - 复用离开渲染范围的元素，render 的 state.recycled 为同类型元素上次 render 返回的元素
+   *   （没有可复用的元素或上次返回字符串时为 null），可以原地修改后返回
+   * @param {Function} options.itemType - 复用池的分类 (item) => type，只在同一类型之间复用元素（默认所有数据为同一类型）
+   * @param {number} options.frameBudget - 分帧渲染每帧的时间预算（毫秒），默认 0（同步渲染）；
+   *   大于 0 时跳转只同步渲染可见部分，缓冲区在之后的空闲时间或帧中分批填充
    */
   constructor(container, items = [], render = null, options = {}) {
     // 获取容器元素
@@ -41,33 +111,207 @@ class FastScrollView {
       // bufferThreshold 和 bufferSize 都支持（向后兼容）
       bufferThreshold: options.bufferThreshold || options.bufferSize || 2,
       onScroll: options.onScroll || null,
-      align: options.align || 'top', // 'top' 或 'bottom'
+      // 'top' 或 'bottom'（'start' / 'end' 是与方向无关的写法）
+      align: ({ start: 'top', end: 'bottom' })[options.align] || options.align || 'top',
+      orientation: options.orientation === 'horizontal' ? 'horizontal' : 'vertical',
+      columns: options.columns || 0,
+      minColumnWidth: options.minColumnWidth || 0,
       loader: options.loader || null, // 自定义 loader 元素或 HTML 字符串
+      recycleThreshold: options.recycleThreshold || 0, // 0 表示不回收
+      observeResize: options.observeResize !== false,
+      onItemsVisible: options.onItemsVisible || null,
+      onItemsHidden: options.onItemsHidden || null,
+      visibilityRatio: Math.min(1, Math.max(0, options.visibilityRatio || 0)),
+      visibilityDwell: options.visibilityDwell || 0,
+      onReachEnd: options.onReachEnd || null,
+      onReachStart: options.onReachStart || null,
+      loaderError: options.loaderError || '加载失败，点击重试',
+      placeholder: options.placeholder || null,
+      onLoadRangeError: options.onLoadRangeError || null,
+      getGroupKey: options.getGroupKey || null,
+      groupHeader: options.groupHeader || null,
+      stickyHeaders: options.stickyHeaders !== false,
+      getKey: options.getKey || null,
+      update: options.update || null,
+      animate: options.animate || false,
+      initialState: options.initialState || null,
+      stateKey: options.stateKey || null,
+      accessibility: options.accessibility || false,
+      selection: options.selection === true ? 'multiple' : (options.selection || false),
+      onSelectionChange: options.onSelectionChange || null,
+      maxScrollSize: options.maxScrollSize || MAX_SCROLL_SIZE,
+      pooling: options.pooling || false,
+      itemType: options.itemType || null,
+      frameBudget: options.frameBudget || 0,
     };
 
+    if (this.options.selection && this.options.selection !== 'single' && this.options.selection !== 'multiple') {
+      throw new Error(`FastScrollView: Unknown selection mode "${this.options.selection}"`);
+    }
+
+    // 滚动元素：默认为容器本身，也可以是 window 或容器的祖先元素
+    const scrollElement = typeof options.scrollElement === 'string'
+      ? document.querySelector(options.scrollElement)
+      : options.scrollElement || this.container;
+    if (!scrollElement) {
+      throw new Error('FastScrollView: Scroll element not found');
+    }
+    if (scrollElement !== window && !scrollElement.contains(this.container)) {
+      throw new Error('FastScrollView: Scroll element must be the container or one of its ancestors');
+    }
+    this.scrollElement = scrollElement;
+    this.isExternalScroll = scrollElement !== this.container;
+
+    // 超长列表的滚动条缩放：列表总高度超出 maxScrollSize 时占位符按缩小后的尺寸设置，
+    // 滚动位置、元素位置等均使用逻辑位置（= 实际位置 + scrollShift）
+    this.scrollExcess = 0;              // 列表总高度超出 maxScrollSize 的部分
+    this.scrollShift = 0;               // 逻辑位置与实际位置之差
+    this.spacerSizes = [0, 0];          // 上下占位符的逻辑尺寸
+    this.lastRawScrollPosition = null;  // 最近一次设置的实际滚动位置（浏览器取整后的值）
+    this.boundHandleWheel = null;
+
+    // 复用池（pooling）：type -> 离开渲染范围的元素，以及元素内 render 返回的元素
+    this.elementPool = new Map();
+    this.elementContents = new WeakMap();
+
+    // 回收距离必须大于缓冲距离，否则刚渲染的元素会立即被卸载
+    if (this.options.recycleThreshold > 0) {
+      this.options.recycleThreshold = Math.max(
+        this.options.recycleThreshold,
+        this.options.bufferThreshold + 1
+      );
+    }
+
     // 批处理大小
     this.batchSize = options.batchSize || 10;
 
+    // 数据源模式：只知道数据总数，数据按页通过 loadRange 按需加载，未加载的位置渲染占位元素
+    this.loadRange = typeof options.loadRange === 'function' ? options.loadRange : null;
+    this.pageCache = this.loadRange
+      ? new PageCache({ pageSize: options.pageSize, maxPages: options.maxCachedPages })
+      : null;
+    this.loadPagesRaf = null;
+
     // 数据
-    this.items = items ? [...items] : [];
+    if (this.loadRange) {
+      this.items = new Array(Math.max(0, options.totalCount || 0));
+    } else {
+      this.items = items ? [...items] : [];
+    }
     this.render = render;
 
-    // 已渲染的范围（不再缓存高度，直接从 DOM 读取）
+    // 已渲染的范围
     this.renderedStartIndex = -1;
     this.renderedEndIndex = -1;
 
+    // 网格模式：每行 columns 个元素，按行测量和扩展渲染
+    this.isGrid = this.options.columns > 0 || this.options.minColumnWidth > 0;
+    if (this.isGrid && this.options.orientation === 'horizontal') {
+      throw new Error('FastScrollView: Grid layout only supports vertical orientation');
+    }
+    this.columns = this._computeColumns();
+    this.estimatedItemHeight = options.estimatedItemHeight || 0;
+
+    // 分组标题：标题渲染在每组第一个元素内部，因此会计入该元素的高度
+    this.isGrouped = typeof this.options.getGroupKey === 'function';
+    if (this.isGrouped && (this.isGrid || this.options.orientation === 'horizontal')) {
+      throw new Error('FastScrollView: Group headers only support vertical lists without grid layout');
+    }
+    this.stickyHeader = null;     // 吸顶的分组标题容器
+    this.stickyKey = undefined;   // 吸顶标题当前对应的分组
+
+    // 高度缓存（已测量 + 预估），用于计算占位符高度和跳转位置
+    // 网格模式下每个元素记录所在行高度的平均分摊值，按行对齐的区间求和即为这些行的总高度
+    const getItemHeight = typeof options.getItemHeight === 'function' && this.isGrid
+      ? (item, index) => options.getItemHeight(item, index) / this.columns
+      : options.getItemHeight;
+    this.heightCache = new HeightCache({
+      estimatedItemHeight: this.estimatedItemHeight / this.columns,
+      getItemHeight,
+      getItem: (index) => this.items[index],
+    });
+    this.heightCache.reset(this.items.length);
+
     // DOM 元素
     this.contentContainer = null;
-    this.topSpacer = null;  // 用于 bottom-align 时将内容推到底部
+    this.alignSpacer = null;  // 用于 bottom-align 时将内容推到底部
+    this.topSpacer = null;    // 代表上方未渲染元素的高度
+    this.bottomSpacer = null; // 代表下方未渲染元素的高度
     this.topLoader = null;
     this.bottomLoader = null;
 
+    // 滚动方向（水平模式下内部的 top/height 等命名对应 left/width）
+    this.isHorizontal = this.options.orientation === 'horizontal';
+    this.isRtl = false;
+
     // 内部状态标志
     this.isUpdating = false;
     this.isLoadingMore = false;
     this.boundHandleScroll = null;
     this.scrollRaf = null;
     this.lastScrollTop = 0;
+    this.resizeObserver = null;
+    this.lastContainerHeight = 0;
+
+    // 可见性事件
+    this.intersectionObserver = null;
+    this.visibleElements = new Map();  // element -> { index, item }，已触发进入事件的元素
+    this.dwellTimers = new Map();      // element -> timeout id，等待持续可见的元素
+    this.tallElements = new Set();     // 与视口相交但高于视口、可见比例达不到 visibilityRatio 的元素（滚动时检查是否覆盖视口）
+    this.visibilityQueue = { visible: [], hidden: [] };
+    this.visibilityRaf = null;
+
+    // 元素复用：记录每个元素渲染时的数据，数据变化时按 key 找回元素并原地更新
+    this.elementItems = new WeakMap();  // element -> { key, item }
+    this.reusableElements = null;       // key -> element，仅在对比新旧数据期间存在
+
+    // transaction 期间记录的修改，结束后通过 applyChanges 一次性应用
+    this.pendingChanges = null;
+
+    // 进入/离开动画：播放离开动画的元素去掉 data-index，作为 data-leaving 元素留在原位，动画结束后再移除
+    const animate = this.options.animate === true ? {} : this.options.animate;
+    this.animation = animate ? {
+      enter: animate.enter !== undefined ? animate.enter : true,
+      leave: animate.leave !== undefined ? animate.leave : true,
+    } : null;
+    this.leavingElements = new Map();  // element -> 最近一次测量的高度
+
+    // 远程加载（onReachEnd / onReachStart），按方向 'start' / 'end' 记录状态
+    this.hasMore = {
+      start: options.hasMoreStart !== undefined ? !!options.hasMoreStart : !!this.options.onReachStart,
+      end: options.hasMoreEnd !== undefined ? !!options.hasMoreEnd : !!this.options.onReachEnd,
+    };
+    this.remoteLoads = { start: null, end: null };  // 进行中的请求（用于去重）
+    this.loadErrors = { start: null, end: null };   // 最近一次失败的错误
+    this.loadGeneration = 0;                        // setItems 后递增，丢弃过期的请求结果
+    this.isDestroyed = false;
+
+    // 进行中的 scrollToItem 滚动 { raf, resolve, cleanup }
+    this.scrollAnimation = null;
+
+    // 分帧渲染（frameBudget）：等待执行的缓冲区填充 { idle } 或 { raf }
+    this.fillTask = null;
+
+    // 渲染范围变化后等待更新吸顶标题和无障碍属性（_scheduleRenderUpdate）
+    this.isRenderUpdatePending = false;
+
+    // 性能计数（getStats）：render 调用次数、测量的元素数、布局读取次数，以及渲染和测量的耗时（毫秒）
+    this.stats = this._createStats();
+
+    // 滚动状态自动保存（stateKey）
+    this.saveStateTimer = null;
+    this.boundSaveState = null;
+
+    // 无障碍模式：列表容器和列表项的 role，以及 roving tabindex 的焦点状态
+    this.ariaRole = this.options.accessibility === 'listbox' ? 'listbox'
+      : this.options.accessibility ? 'list' : null;
+    this.ariaItemRole = this.ariaRole === 'listbox' ? 'option' : 'listitem';
+    this.activeIndex = -1;       // 当前焦点（或最后获得焦点）的索引
+    this.focusedElement = null;  // 获得焦点的列表项元素，被重新渲染后把焦点交给同一索引的新元素
+
+    // 选择模式：记录选中项的 key（getKey 的返回值，未提供时为数据项本身），与索引无关
+    this.selectedKeys = new Set();
+    this.selectionAnchor = null;  // 范围选择的起点 { key }
 
     // 初始化
     this.init();
@@ -80,43 +324,147 @@ class FastScrollView {
     // 清空容器
     this.container.innerHTML = '';
 
-    // 设置容器样式
-    this.container.style.overflow = 'auto';
+    // 设置容器样式（由外部元素滚动时容器只负责排列内容）
+    if (!this.isExternalScroll) {
+      this.container.style.overflow = 'auto';
+    }
+    // 滚动位置由 FastScrollView 自行补偿，关闭浏览器的滚动锚定以免重复补偿：
+    // 容器滚动时关闭容器自身的锚定；由外部元素滚动时列表内的元素不会被选为锚点
+    this.container.style.overflowAnchor = 'none';
     this.container.style.position = 'relative';
+    if (this.isHorizontal) {
+      // 水平模式下所有子元素横向排列，RTL 时由 direction 决定从右向左排列
+      if (!this.isExternalScroll) {
+        this.container.style.overflowY = 'hidden';
+      }
+      this.container.style.display = 'flex';
+      this.container.style.flexDirection = 'row';
+      this.isRtl = getComputedStyle(this.container).direction === 'rtl';
+    }
+
+    // 创建对齐占位符（用于 bottom-align）
+    this.alignSpacer = document.createElement('div');
+    this._setElementSize(this.alignSpacer, 0);
 
-    // 创建顶部占位符（用于 bottom-align）
+    // 创建上下占位符（代表未渲染元素的高度，使滚动条反映完整列表长度）
     this.topSpacer = document.createElement('div');
-    this.topSpacer.style.height = '0px';
+    this._setElementSize(this.topSpacer, 0);
+    this.bottomSpacer = document.createElement('div');
+    this._setElementSize(this.bottomSpacer, 0);
 
     // 创建顶部加载指示器
-    this.topLoader = this._createLoader();
+    this.topLoader = this._createLoader('start');
     this.topLoader.style.display = 'none';
 
     // 创建内容容器
     this.contentContainer = document.createElement('div');
+    if (this.isGrid) {
+      this.contentContainer.style.display = 'grid';
+      this._applyColumns();
+    }
+
+    if (this.ariaRole) {
+      this.contentContainer.setAttribute('role', this.ariaRole);
+      if (this.ariaRole === 'listbox' && this.isHorizontal) {
+        this.contentContainer.setAttribute('aria-orientation', 'horizontal');
+      }
+      this.contentContainer.addEventListener('keydown', event => this._handleKeyDown(event));
+      this.contentContainer.addEventListener('focusin', event => this._handleFocusIn(event));
+      this.contentContainer.addEventListener('focusout', event => this._handleFocusOut(event));
+    }
+
+    if (this.options.selection) {
+      if (this.ariaRole === 'listbox' && this.options.selection === 'multiple') {
+        this.contentContainer.setAttribute('aria-multiselectable', 'true');
+      }
+      this.contentContainer.addEventListener('click', event => this._handleSelectionClick(event));
+    }
 
     // 创建底部加载指示器
-    this.bottomLoader = this._createLoader();
+    this.bottomLoader = this._createLoader('end');
     this.bottomLoader.style.display = 'none';
 
+    if (this.isHorizontal) {
+      this.contentContainer.style.display = 'flex';
+      [this.alignSpacer, this.topSpacer, this.topLoader, this.contentContainer, this.bottomLoader, this.bottomSpacer]
+        .forEach(element => { element.style.flex = '0 0 auto'; });
+    }
+
+    // 创建吸顶标题容器（高度为 0，不影响其他元素的位置）
+    if (this.isGrouped && this.options.stickyHeaders) {
+      this.stickyHeader = document.createElement('div');
+      this.stickyHeader.className = 'fast-scrollview-sticky-header';
+      this.stickyHeader.style.cssText = `
+        position: sticky;
+        top: 0;
+        height: 0;
+        z-index: 1;
+      `;
+      this.container.appendChild(this.stickyHeader);
+    }
+
     // 组装 DOM（直接添加到 container）
+    this.container.appendChild(this.alignSpacer);
     this.container.appendChild(this.topSpacer);
     this.container.appendChild(this.topLoader);
     this.container.appendChild(this.contentContainer);
     this.container.appendChild(this.bottomLoader);
+    this.container.appendChild(this.bottomSpacer);
 
     // 绑定滚动事件
     this.boundHandleScroll = this.handleScroll.bind(this);
-    this.container.addEventListener('scroll', this.boundHandleScroll);
+    this.scrollElement.addEventListener('scroll', this.boundHandleScroll);
+
+    // 监听容器和元素的尺寸变化（图片加载、文字展开、字体替换等）
+    if (this.options.observeResize && typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(entries => this._handleResize(entries));
+      this.resizeObserver.observe(this.container);
+      // 由外部元素滚动时视口尺寸来自滚动元素（window 的尺寸变化通过 resize 事件监听）
+      if (this.isExternalScroll && this.scrollElement !== window) {
+        this.resizeObserver.observe(this.scrollElement);
+      }
+    }
+    if (this.scrollElement === window) {
+      this.boundHandleWindowResize = () => this._handleContainerResize();
+      window.addEventListener('resize', this.boundHandleWindowResize);
+    }
+    this.lastContainerHeight = this._getViewportSize();
+
+    // 监听元素进入/离开视口
+    const { onItemsVisible, onItemsHidden } = this.options;
+    if ((onItemsVisible || onItemsHidden) && typeof IntersectionObserver !== 'undefined') {
+      const ratio = this.options.visibilityRatio;
+      this.intersectionObserver = new IntersectionObserver(
+        entries => this._handleIntersection(entries),
+        { root: this.scrollElement === window ? null : this.scrollElement, threshold: ratio > 0 ? [0, ratio] : [0] }
+      );
+    }
 
-    // 首次渲染
-    this._updateVisibleItems();
+    // 首次渲染：有保存的状态时直接从保存的位置开始
+    const initialState = this.options.initialState || this._loadStoredState();
+    if (initialState && this.items.length > 0) {
+      this.restoreState(initialState);
+    } else {
+      this._updateVisibleItems();
+    }
+
+    // 离开页面时保存滚动状态
+    if (this.options.stateKey && typeof window !== 'undefined') {
+      this.boundSaveState = () => this._saveState();
+      window.addEventListener('pagehide', this.boundSaveState);
+    }
+
+    // 初始数据不足以填满视口（或为空）时，立即请求更多数据
+    if (this.options.onReachEnd || this.options.onReachStart) {
+      this._checkScrollBoundary();
+    }
   }
 
   /**
    * 创建加载指示器
+   * @param {string} direction - 'start'（顶部）或 'end'（底部）
    */
-  _createLoader() {
+  _createLoader(direction) {
     const loader = document.createElement('div');
     loader.style.display = 'none';
     loader.className = 'fast-scrollview-loading';
@@ -127,394 +475,2478 @@ class FastScrollView {
     `;
 
     // 如果提供了自定义 loader，使用自定义内容
-    if (this.options.loader) {
-      if (typeof this.options.loader === 'string') {
-        // 如果是字符串，直接设置为 innerHTML
-        loader.innerHTML = this.options.loader;
-      } else if (this.options.loader instanceof HTMLElement) {
-        // 如果是 DOM 元素，克隆并添加
-        loader.appendChild(this.options.loader.cloneNode(true));
-      }
-    }
     // 否则保持为空容器，用户可以通过 CSS 自定义样式
+    this._fillLoader(loader, this.options.loader);
+
+    // 加载失败时点击指示器重试
+    loader.addEventListener('click', () => {
+      if (this.loadErrors[direction]) this.retry(direction);
+    });
     return loader;
   }
 
-
   /**
-   * 处理滚动事件
+   * 设置加载指示器的内容
+   * @param {HTMLElement} loader
+   * @param {HTMLElement|string|null} content - HTMLElement 或 HTML 字符串
    */
-  handleScroll() {
-    if (this.isUpdating || this.isLoadingMore) return;
-    if (this.scrollRaf) return;
-    this.scrollRaf = requestAnimationFrame(() => {
-      this.scrollRaf = null;
-
-      // 是否有滚动
-      const newScrollTop = this.container.scrollTop;
-      const delta = newScrollTop - this.lastScrollTop;
-      if (Math.abs(delta) < 1) return;
-      this.lastScrollTop = newScrollTop;
-
-      // 检查是否滚动到边界
-      this._checkScrollBoundary();
-
-      if (this.options.onScroll) {
-        this.options.onScroll({
-          scrollTop: newScrollTop,
-          delta: delta,
-          visibleStart: this.renderedStartIndex,
-          visibleEnd: this.renderedEndIndex,
-        });
-      }
-    });
+  _fillLoader(loader, content) {
+    loader.innerHTML = '';
+    if (!content) return;
+    if (typeof content === 'string') {
+      // 如果是字符串，直接设置为 innerHTML
+      loader.innerHTML = content;
+    } else if (content instanceof HTMLElement) {
+      // 如果是 DOM 元素，克隆并添加
+      loader.appendChild(content.cloneNode(true));
+    }
   }
 
   /**
-   * 检查是否滚动到边界，如果是则显示 loading 并加载更多内容
+   * 切换加载指示器的状态
+   * @param {string} direction - 'start' 或 'end'
+   * @param {string|null} state - 'loading'、'error' 或 null（隐藏）
    */
-  async _checkScrollBoundary() {
-    if (this.items.length === 0 || this.renderedStartIndex === -1) return;
-
-    const containerHeight = this.container.clientHeight;
-    const scrollTop = this.container.scrollTop;
-    const scrollHeight = this.container.scrollHeight;
-    const scrollBottom = scrollTop + containerHeight;
-
-    const threshold = 100; // 触发阈值（像素）
-
-    // 检查是否滚动到底部边界（考虑 bottomLoader 的高度）
-    if (scrollBottom >= scrollHeight - threshold && this.renderedEndIndex < this.items.length) {
-      await this._loadMoreDown();
-      return;
-    }
-
-    // 检查是否滚动到顶部边界（考虑 topLoader 的高度）
-    if (scrollTop <= threshold && this.renderedStartIndex > 0) {
-      await this._loadMoreUp();
-      return;
+  _setLoaderState(direction, state) {
+    const loader = direction === 'start' ? this.topLoader : this.bottomLoader;
+
+    const isError = state === 'error';
+    const display = state ? 'flex' : 'none';
+    const contentChanged = isError !== loader.classList.contains('fast-scrollview-loading-error');
+    if (!contentChanged && loader.style.display === display) return;
+
+    // 顶部指示器位于内容上方，显示/隐藏或切换内容时保持视口中的内容不动
+    const anchor = direction === 'start' ? this._captureAnchor() : null;
+    if (contentChanged) {
+      loader.classList.toggle('fast-scrollview-loading-error', isError);
+      this._fillLoader(loader, isError ? this.options.loaderError : this.options.loader);
     }
+    loader.style.display = display;
+    this._restoreAnchor(anchor);
   }
 
   /**
-   * 向下加载更多内容
+   * 本地渲染结束后，让加载指示器回到远程加载的状态（请求中或失败时保持显示）
+   * @param {string} direction - 'start' 或 'end'
    */
-  async _loadMoreDown() {
-    if (this.isLoadingMore || this.renderedEndIndex >= this.items.length) return;
-
-    this.isLoadingMore = true;
-    this.bottomLoader.style.display = 'flex';
+  _syncLoaderState(direction) {
+    let state = null;
+    if (this.remoteLoads[direction]) {
+      state = 'loading';
+    } else if (this.loadErrors[direction]) {
+      state = 'error';
+    }
+    this._setLoaderState(direction, state);
+  }
 
-    // 使用 Promise 来等待渲染完成
-    await new Promise(resolve => {
-      requestAnimationFrame(() => {
-        const containerHeight = this.container.clientHeight;
-        const targetHeight = containerHeight * this.options.bufferThreshold;
-        this._expandDown(targetHeight);
 
-        requestAnimationFrame(() => {
-          this.bottomLoader.style.display = 'none';
-          this.isLoadingMore = false;
-          resolve();
-        });
-      });
-    });
+  /**
+   * 获取滚动位置（距列表起始边的逻辑距离）
+   * @returns {number}
+   */
+  _getScrollPosition() {
+    return this._getRawScrollPosition() + this.scrollShift;
   }
 
   /**
-   * 向上加载更多内容
+   * 设置滚动位置（距列表起始边的逻辑距离）
+   * 超长列表按滚动条与逻辑位置的对应关系确定滚动条位置，再调整偏移使视口显示目标位置
+   * @param {number} position
    */
-  async _loadMoreUp() {
-    if (this.isLoadingMore || this.renderedStartIndex <= 0) return;
-
-    this.isLoadingMore = true;
-    this.topLoader.style.display = 'flex';
-
-    // 保存当前滚动位置
-    const oldScrollHeight = this.container.scrollHeight;
-    const oldScrollTop = this.container.scrollTop;
-
-    // 使用 Promise 来等待渲染完成
-    await new Promise(resolve => {
-      requestAnimationFrame(() => {
-        const containerHeight = this.container.clientHeight;
-        const targetHeight = containerHeight * this.options.bufferThreshold;
-        this._expandUp(targetHeight);
-
-        requestAnimationFrame(() => {
-          // 恢复滚动位置（补偿新增内容的高度）
-          const newScrollHeight = this.container.scrollHeight;
-          const heightDiff = newScrollHeight - oldScrollHeight;
-          this.container.scrollTop = oldScrollTop + heightDiff;
-
-          // 如果所有内容都加载完了，调整底部对齐
-          this._adjustBottomAlign();
-
-          this.topLoader.style.display = 'none';
-          this.isLoadingMore = false;
-          resolve();
-        });
-      });
-    });
+  _setScrollPosition(position) {
+    if (this.scrollExcess <= 0) {
+      this._setRawScrollPosition(position);
+      return;
+    }
+    this._applyScrollShift(position - this._toRawScrollPosition(position), false);
+    this._setRawScrollPosition(position - this.scrollShift);
+    this.lastRawScrollPosition = this._getRawScrollPosition();
   }
 
   /**
-   * 向下扩展渲染（从当前 renderedEndIndex 开始向下渲染直到达到目标高度）
-   * @param {number} targetHeight - 目标高度
-   * @returns {number} 累计渲染的高度
+   * 获取实际滚动位置（距列表起始边的距离）
+   * 水平模式下为 scrollLeft；RTL 时 scrollLeft 从 0 向负数变化，取反后同样从 0 开始递增
+   * 由外部元素滚动时为视口起始边超出列表起始边的距离（列表上方的内容可见时为负数）
+   * @returns {number}
    */
-  _expandDown(targetHeight) {
-    const batchSize = this.batchSize;
-    let accumulatedHeight = 0;
-
-    while (this.renderedEndIndex < this.items.length && accumulatedHeight < targetHeight) {
-      const batchEnd = Math.min(this.renderedEndIndex + batchSize, this.items.length);
-      const fragment = this._renderItems(this.renderedEndIndex, batchEnd);
-      this.contentContainer.appendChild(fragment);
-      accumulatedHeight += this._measureHeight(this.renderedEndIndex, batchEnd);
-      this.renderedEndIndex = batchEnd;
+  _getRawScrollPosition() {
+    this.stats.layoutReads++;
+    if (this.isExternalScroll) {
+      const rect = this.container.getBoundingClientRect();
+      const viewport = this._getViewportRect();
+      if (!this.isHorizontal) return viewport.top - (rect.top + this.container.clientTop);
+      return this.isRtl ? rect.right - viewport.right : viewport.left - (rect.left + this.container.clientLeft);
     }
-
-    return accumulatedHeight;
+    if (!this.isHorizontal) return this.container.scrollTop;
+    return this.isRtl ? -this.container.scrollLeft : this.container.scrollLeft;
   }
 
   /**
-   * 向上扩展渲染（从当前 renderedStartIndex 开始向上渲染直到达到目标高度）
-   * @param {number} targetHeight - 目标高度
-   * @returns {number} 累计渲染的高度
+   * 设置实际滚动位置（距列表起始边的距离）
+   * 由外部元素滚动时按与当前位置的差值滚动，且不超过列表末尾与视口末尾对齐的位置
+   * @param {number} position
    */
-  _expandUp(targetHeight) {
-    const batchSize = this.batchSize;
-    let accumulatedHeight = 0;
-
-    while (this.renderedStartIndex > 0 && accumulatedHeight < targetHeight) {
-      const batchStart = Math.max(0, this.renderedStartIndex - batchSize);
-      const fragment = this._renderItems(batchStart, this.renderedStartIndex);
-      const firstChild = this.contentContainer.firstChild;
-      if (firstChild) {
-        this.contentContainer.insertBefore(fragment, firstChild);
+  _setRawScrollPosition(position) {
+    if (this.isExternalScroll) {
+      const max = Math.max(0, this._getRawScrollSize() - this._getViewportSize());
+      const delta = Math.min(position, max) - this._getRawScrollPosition();
+      const deltaX = this.isHorizontal ? (this.isRtl ? -delta : delta) : 0;
+      const deltaY = this.isHorizontal ? 0 : delta;
+      if (this.scrollElement === window) {
+        window.scrollTo(window.scrollX + deltaX, window.scrollY + deltaY);
       } else {
-        this.contentContainer.appendChild(fragment);
+        this.scrollElement.scrollLeft += deltaX;
+        this.scrollElement.scrollTop += deltaY;
       }
-      accumulatedHeight += this._measureHeight(batchStart, this.renderedStartIndex);
-      this.renderedStartIndex = batchStart;
+      return;
+    }
+    if (!this.isHorizontal) {
+      this.container.scrollTop = position;
+    } else {
+      this.container.scrollLeft = this.isRtl ? -position : position;
     }
-
-    return accumulatedHeight;
   }
 
-  _measureHeight(startIndex, endIndex) {
-    let accumulatedHeight = 0;
-    for (let i = startIndex; i < endIndex; i++) {
-      const element = this.contentContainer.querySelector(`[data-index="${i}"]`);
-      if (element) {
-        accumulatedHeight += element.offsetHeight;
-      }
+  /**
+   * 获取滚动元素可视区域（不含边框和滚动条）在窗口中的位置
+   * @returns {Object} { top, left, right }
+   */
+  _getViewportRect() {
+    this.stats.layoutReads++;
+    if (this.scrollElement === window) {
+      return { top: 0, left: 0, right: document.documentElement.clientWidth };
     }
-    return accumulatedHeight;
+    const element = this.scrollElement;
+    const rect = element.getBoundingClientRect();
+    const left = rect.left + element.clientLeft;
+    return { top: rect.top + element.clientTop, left, right: left + element.clientWidth };
   }
 
   /**
-   * 更新可视区域内的元素
-   * 支持跳跃式渲染：可以从任意位置开始渲染
+   * 获取视口在滚动方向上的尺寸
+   * @returns {number}
    */
-  _updateVisibleItems() {
-    if (this.items.length === 0) {
-      this.contentContainer.innerHTML = '';
-      this.topSpacer.style.height = '0px';
-      this.topLoader.style.display = 'none';
-      this.bottomLoader.style.display = 'none';
-      return;
+  _getViewportSize() {
+    this.stats.layoutReads++;
+    if (this.scrollElement === window) {
+      return this.isHorizontal ? window.innerWidth : window.innerHeight;
     }
+    const element = this.scrollElement;
+    return this.isHorizontal ? element.clientWidth : element.clientHeight;
+  }
 
-    // 如果还没有渲染任何内容，从当前滚动位置开始渲染
-    if (this.renderedStartIndex === -1) {
-      this.isUpdating = true;
-      // 如果设置为底部对齐，从底部开始渲染
-      if (this.options.align === 'bottom') {
-        this.renderFromBottom();
-      } else {
-        this.renderFromPosition(this.container.scrollTop);
-      }
-      this.isUpdating = false;
-      return;
-    }
+  /**
+   * 获取可滚动内容在滚动方向上的总尺寸（逻辑尺寸）
+   * @returns {number}
+   */
+  _getScrollSize() {
+    return this._getRawScrollSize() + this.scrollExcess;
   }
 
   /**
-   * 从指定滚动位置开始渲染
-   * 策略：找到起始位置后，分批渲染、测量、判断，直到填满屏幕
+   * 获取可滚动内容在滚动方向上的实际尺寸
+   * @returns {number}
    */
-  renderFromPosition(scrollTop) {
-    const containerHeight = this.container.clientHeight;
-    const expandThreshold = containerHeight * this.options.bufferThreshold;
+  _getRawScrollSize() {
+    this.stats.layoutReads++;
+    return this.isHorizontal ? this.container.scrollWidth : this.container.scrollHeight;
+  }
 
-    // 找到起始索引
-    let startIndex = this.findStartIndexByRendering(scrollTop);
+  /**
+   * 超长列表中滚动条位置与逻辑位置的对应关系：
+   * 列表两端 edge 范围内一一对应（保证能到达两端，且两端附近的已渲染元素不会超出滚动区域），中间部分按比例对应
+   * @returns {Object} { edge, rawMax, max } - 两端一一对应的范围、实际和逻辑的最大滚动位置
+   */
+  _getScrollScale() {
+    const viewport = this._getViewportSize();
+    const rawMax = Math.max(0, this._getRawScrollSize() - viewport);
+    const recycleThreshold = this.options.recycleThreshold || this.options.bufferThreshold + 1;
+    return {
+      edge: Math.min(viewport * (recycleThreshold + 1), rawMax / 4),
+      rawMax,
+      max: rawMax + this.scrollExcess,
+    };
+  }
 
-    // 从起始位置开始渲染，直到填满目标高度
-    this.renderedStartIndex = startIndex;
-    this.renderedEndIndex = startIndex;
-    this.contentContainer.innerHTML = '';
+  /**
+   * 实际滚动位置 -> 逻辑位置
+   * @param {number} raw
+   * @returns {number}
+   */
+  _toLogicalScrollPosition(raw) {
+    const { edge, rawMax, max } = this._getScrollScale();
+    if (raw <= edge) return raw;
+    if (raw >= rawMax - edge) return max - (rawMax - raw);
+    return edge + (raw - edge) * (max - 2 * edge) / (rawMax - 2 * edge);
+  }
 
-    // 使用通用的向下扩展方法
-    const targetHeight = containerHeight + expandThreshold;
-    this._expandDown(targetHeight);
+  /**
+   * 逻辑位置 -> 实际滚动位置
+   * @param {number} position
+   * @returns {number}
+   */
+  _toRawScrollPosition(position) {
+    const { edge, rawMax, max } = this._getScrollScale();
+    if (position <= edge) return position;
+    if (position >= max - edge) return Math.max(edge, rawMax - (max - position));
+    return edge + (position - edge) * (rawMax - 2 * edge) / (max - 2 * edge);
   }
 
   /**
-   * 从底部开始渲染（用于 align: 'bottom'）
-   * 策略：从最后一项开始向前渲染，填满屏幕，然后滚动到底部
+   * 设置滚动偏移，并按偏移设置上下占位符的实际尺寸
+   * 偏移需要使两个占位符的实际尺寸都不为负数，超出范围时取最接近的值
+   * @param {number} shift - 期望的偏移（逻辑位置 - 实际位置）
+   * @param {boolean} keepPosition - 偏移变化时是否同时调整实际滚动位置，使视口中的内容保持不动
    */
-  renderFromBottom() {
-    if (this.items.length === 0) {
-      return;
+  _applyScrollShift(shift, keepPosition) {
+    const [topHeight, bottomHeight] = this.spacerSizes;
+    const excess = this.scrollExcess;
+    const next = Math.max(Math.max(0, excess - bottomHeight), Math.min(topHeight, excess, shift));
+    const previous = this.scrollShift;
+    this.scrollShift = next;
+    this._setElementSize(this.topSpacer, topHeight - next);
+    this._setElementSize(this.bottomSpacer, bottomHeight - excess + next);
+    if (keepPosition && next !== previous) {
+      this._setRawScrollPosition(this._getRawScrollPosition() + previous - next);
     }
+  }
 
-    const containerHeight = this.container.clientHeight;
-    const expandThreshold = containerHeight * this.options.bufferThreshold;
-    const targetHeight = containerHeight + expandThreshold;
-
-    // 清空内容
-    this.contentContainer.innerHTML = '';
+  /**
+   * 原生滚动（拖动滚动条、触摸、键盘）后按滚动条位置重新确定逻辑位置
+   * 由 _setScrollPosition 设置的位置保持不变（避免浏览器的取整误差被放大）
+   * @returns {number|null} 滚动条对应的逻辑位置，没有原生滚动时为 null
+   */
+  _syncScrollShift() {
+    const raw = this._getRawScrollPosition();
+    if (this.lastRawScrollPosition !== null && Math.abs(raw - this.lastRawScrollPosition) < 1) return null;
+    this.lastRawScrollPosition = raw;
+    const position = this._toLogicalScrollPosition(raw);
+    this._applyScrollShift(position - raw, false);
+    return position;
+  }
 
-    // 从最后一项开始，使用通用的向上扩展方法
-    this.renderedStartIndex = this.items.length;
-    this.renderedEndIndex = this.items.length;
-    this._expandUp(targetHeight);
+  /**
+   * 超长列表中由 FastScrollView 处理滚轮，按逻辑距离滚动（原生滚动的距离会被缩放比例放大）
+   * @param {boolean} enabled
+   */
+  _toggleWheelHandler(enabled) {
+    if (enabled && !this.boundHandleWheel) {
+      this.boundHandleWheel = event => this._handleWheel(event);
+      this.scrollElement.addEventListener('wheel', this.boundHandleWheel, { passive: false });
+    } else if (!enabled && this.boundHandleWheel) {
+      this.scrollElement.removeEventListener('wheel', this.boundHandleWheel);
+      this.boundHandleWheel = null;
+    }
+  }
 
-    // 调整底部对齐
-    this._adjustBottomAlign();
+  /**
+   * 处理滚轮事件（仅超长列表）
+   * @param {WheelEvent} event
+   */
+  _handleWheel(event) {
+    if (this.scrollExcess <= 0 || event.ctrlKey || event.defaultPrevented) return;
+    let delta = this.isHorizontal ? event.deltaX : event.deltaY;
+    if (!delta) return;
+    if (event.deltaMode === 1) {
+      delta *= WHEEL_LINE_HEIGHT;
+    } else if (event.deltaMode === 2) {
+      delta *= this._getViewportSize();
+    }
+    if (this.isRtl) delta = -delta;
 
-    // 立即滚动到底部（在 DOM 更新的同一帧）
-    this.container.scrollTop = this.container.scrollHeight;
+    // 已到达列表两端时交给浏览器处理（例如滚动外层页面）
+    const position = this._getScrollPosition();
+    const max = this._getScrollSize() - this._getViewportSize();
+    if ((delta < 0 && position <= 0) || (delta > 0 && position >= max)) return;
 
-    // 确保滚动位置正确
-    requestAnimationFrame(() => {
-      this.container.scrollTop = this.container.scrollHeight;
-    });
+    event.preventDefault();
+    this._stopScrollAnimation(false);
+    this._setScrollPosition(Math.max(0, Math.min(max, position + delta)));
   }
 
   /**
-   * 调整底部对齐：当内容不足一屏时，使用 topSpacer 将内容推到底部
+   * 获取元素起始边距列表起始边的逻辑距离（RTL 时从容器右边缘算起）
+   * @param {HTMLElement} element - 容器的子孙元素
+   * @returns {number}
    */
-  _adjustBottomAlign() {
-    if (this.options.align !== 'bottom') {
-      this.topSpacer.style.height = '0px';
-      return;
-    }
+  _getOffsetStart(element) {
+    // 超长列表中上方占位符之后的元素需要加上滚动偏移
+    const shift = element === this.topSpacer || element === this.alignSpacer ? 0 : this.scrollShift;
+    this.stats.layoutReads++;
+    if (!this.isHorizontal) return element.offsetTop + shift;
+    if (!this.isRtl) return element.offsetLeft + shift;
+    return this.container.clientWidth - element.offsetLeft - element.offsetWidth + shift;
+  }
 
-    // 检查是否所有内容都已渲染
-    const allRendered = this.renderedStartIndex === 0 && this.renderedEndIndex === this.items.length;
+  /**
+   * 获取元素在滚动方向上的尺寸
+   * @param {HTMLElement} element
+   * @returns {number}
+   */
+  _getOffsetSize(element) {
+    this.stats.layoutReads++;
+    return this.isHorizontal ? element.offsetWidth : element.offsetHeight;
+  }
+
+  /**
+   * 设置元素在滚动方向上的尺寸（占位符、占位元素）
+   * @param {HTMLElement} element
+   * @param {number} size - 像素
+   */
+  _setElementSize(element, size) {
+    if (this.isHorizontal) {
+      element.style.width = `${size}px`;
+    } else {
+      element.style.height = `${size}px`;
+    }
+  }
+
+  /**
+   * 计算网格模式的列数（非网格模式为 1）
+   * @returns {number}
+   */
+  _computeColumns() {
+    if (!this.isGrid) return 1;
+    if (this.options.columns > 0) return Math.floor(this.options.columns);
+    return Math.max(1, Math.floor(this.container.clientWidth / this.options.minColumnWidth));
+  }
+
+  /**
+   * 将当前列数应用到网格样式和预估高度
+   */
+  _applyColumns() {
+    this.contentContainer.style.gridTemplateColumns = `repeat(${this.columns}, minmax(0, 1fr))`;
+    this.heightCache.estimatedItemHeight = this.estimatedItemHeight / this.columns;
+  }
+
+  /**
+   * 容器宽度变化后重新计算列数；列数变化时所有行的组成都会改变，清空高度缓存并从锚点重新渲染
+   * @returns {boolean} 列数是否变化
+   */
+  _updateColumns() {
+    const columns = this._computeColumns();
+    if (columns === this.columns) return false;
+
+    const anchor = this._captureAnchor();
+    this.columns = columns;
+    this._applyColumns();
+    this.heightCache.reset(this.items.length);
+
+    this.renderedStartIndex = -1;
+    this.renderedEndIndex = -1;
+    this._clearContent();
+    if (anchor) {
+      this._renderFromIndex(anchor.index, anchor.offset);
+    } else {
+      this._updateVisibleItems();
+    }
+    this._adjustBottomAlign();
+    return true;
+  }
+
+  /**
+   * 获取元素所在行第一个元素的索引（非网格模式为元素自身）
+   * @param {number} index
+   * @returns {number}
+   */
+  _getRowStart(index) {
+    return index - (index % this.columns);
+  }
+
+  /**
+   * 获取元素所在行的缓存高度（非网格模式为元素自身的高度）
+   * @param {number} index
+   * @returns {number}
+   */
+  _getRowHeight(index) {
+    if (this.columns === 1) return this.heightCache.getHeight(index);
+    const start = this._getRowStart(index);
+    return this.heightCache.sum(start, Math.min(start + this.columns, this.items.length));
+  }
+
+  /**
+   * 处理滚动事件
+   */
+  handleScroll() {
+    if (this.isUpdating || this.isLoadingMore) return;
+    if (this.scrollRaf) return;
+    this.scrollRaf = requestAnimationFrame(() => {
+      this.scrollRaf = null;
+
+      // 超长列表：拖动滚动条等原生滚动按比例换算为逻辑位置
+      const syncedPosition = this.scrollExcess > 0 ? this._syncScrollShift() : null;
+
+      // 是否有滚动
+      const newScrollTop = syncedPosition !== null ? syncedPosition : this._getScrollPosition();
+      const delta = newScrollTop - this.lastScrollTop;
+      if (Math.abs(delta) < 1) return;
+      this.lastScrollTop = newScrollTop;
+
+      if (this._isFarFromRendered(newScrollTop)) {
+        // 拖动滚动条跳到了占位区域，直接从该位置重新渲染
+        this.isUpdating = true;
+        this.renderFromPosition(newScrollTop);
+        this.isUpdating = false;
+      } else {
+        // 检查是否滚动到边界
+        this._checkScrollBoundary();
+      }
+
+      // 卸载远离视口的元素
+      this._recycleOutOfView();
+
+      // 数据源模式下加载已渲染范围内缺失的页（包括之前加载失败的页）
+      this._loadRenderedPages();
+
+      this._updateStickyHeader();
+      this._checkTallElements();
+      this._scheduleStateSave();
+
+      if (this.options.onScroll) {
+        const visibleRange = this.getVisibleRange();
+        this.options.onScroll({
+          scrollTop: newScrollTop,
+          scrollOffset: newScrollTop, // 与方向无关的写法，水平模式下同样表示距起始边的距离
+          delta: delta,
+          visibleStart: visibleRange.start,
+          visibleEnd: visibleRange.end,
+          renderedStart: this.renderedStartIndex,
+          renderedEnd: this.renderedEndIndex,
+        });
+      }
+    });
+  }
+
+  /**
+   * 处理 ResizeObserver 回调
+   * 元素尺寸变化时更新高度缓存和占位符，并保持视口中的内容不动；
+   * 容器尺寸变化时重新检查渲染范围和底部对齐
+   * @param {Array<ResizeObserverEntry>} entries
+   */
+  _handleResize(entries) {
+    if (this.renderedStartIndex === -1) return;
+
+    let containerResized = false;
+    const changed = [];
+    const changedRows = new Set();
+    const leaving = [];
+
+    entries.forEach(entry => {
+      const target = entry.target;
+      if (target === this.container || target === this.scrollElement) {
+        containerResized = true;
+        return;
+      }
+      if (!target.isConnected || target.parentNode !== this.contentContainer) return;
+
+      // 正在离开的元素不在缓存中，只记录高度变化用于补偿
+      if (target.hasAttribute('data-leaving')) {
+        const height = this._getOffsetSize(target);
+        const previous = this.leavingElements.get(target);
+        if (previous !== undefined && previous !== height) {
+          leaving.push({ element: target, height, delta: height - previous });
+          this.leavingElements.set(target, height);
+        }
+        return;
+      }
+
+      const index = parseInt(target.getAttribute('data-index'), 10);
+      if (this.columns > 1) {
+        changedRows.add(this._getRowStart(index));
+        return;
+      }
+      const height = this._getOffsetSize(target);
+      const previous = this.heightCache.get(index);
+      if (previous !== height) {
+        changed.push({ element: target, index, height, delta: previous === undefined ? 0 : height - previous });
+      }
+    });
+
+    // 网格模式下按行比较：行高取行内元素的最大高度
+    changedRows.forEach(rowStart => {
+      const rowEnd = Math.min(rowStart + this.columns, this.items.length);
+      const first = this.contentContainer.querySelector(`[data-index="${rowStart}"]`);
+      let element = first;
+      let height = 0;
+      for (let i = rowStart; i < rowEnd && element; i++) {
+        height = Math.max(height, this._getOffsetSize(element));
+        element = element.nextElementSibling;
+      }
+      const previous = this.heightCache.sum(rowStart, rowEnd);
+      if (first && Math.abs(previous - height) >= 0.5) {
+        const measured = this.heightCache.get(rowStart) !== undefined;
+        changed.push({ element: first, index: rowStart, height, delta: measured ? height - previous : 0 });
+      }
+    });
+
+    if (changed.length > 0 || leaving.length > 0) {
+      // 回调时布局已经变化，按变化前的位置判断：
+      // 变化前完全位于视口上方的元素，其高度变化会推动视口中的内容，需要补偿
+      const scrollTop = this._getScrollPosition();
+      const resized = changed.concat(leaving)
+        .map(entry => ({ top: this._getOffsetStart(entry.element), height: entry.height, delta: entry.delta }))
+        .sort((a, b) => a.top - b.top);
+      let aboveDelta = 0;
+      let shift = 0;
+      resized.forEach(({ top, height, delta }) => {
+        // 变化前的底部 = 当前顶部 - 前面元素的变化量 + 变化前的高度
+        if (top - shift + height - delta <= scrollTop) aboveDelta += delta;
+        shift += delta;
+      });
+
+      // 锚点只用于补偿占位符的变化，其位置已包含上述高度变化
+      const anchor = this._captureAnchor();
+      changed.forEach(({ index, height }) => {
+        if (this.columns > 1) {
+          this._measureRows(index, index + 1);
+        } else {
+          this.heightCache.set(index, height);
+        }
+      });
+
+      // 平均高度变化会影响占位符
+      this._updateSpacers();
+      this._restoreAnchor(anchor);
+      if (aboveDelta !== 0) {
+        this._setScrollPosition(this._getScrollPosition() + aboveDelta);
+      }
+    }
+
+    if (containerResized) {
+      this._handleContainerResize();
+    } else if (changed.length > 0 || leaving.length > 0) {
+      this._adjustBottomAlign();
+    }
+  }
+
+  /**
+   * 容器尺寸变化：底部对齐时保持贴底，并补充渲染新露出的区域
+   */
+  _handleContainerResize() {
+    // 网格模式下容器宽度变化可能改变列数
+    this._updateColumns();
+
+    const containerHeight = this._getViewportSize();
+    const previousHeight = this.lastContainerHeight;
+    if (containerHeight === previousHeight) return;
+    this.lastContainerHeight = containerHeight;
+
+    if (this.options.align === 'bottom') {
+      // 变化前是否贴底（按旧的容器高度判断）
+      const scrollHeight = this._getScrollSize();
+      const wasAtBottom = this._getScrollPosition() + previousHeight >= scrollHeight - 1;
+      if (wasAtBottom) {
+        this._setScrollPosition(scrollHeight);
+      }
+    }
+
+    this._adjustBottomAlign();
+    this._checkScrollBoundary();
+  }
+
+  /**
+   * 处理 IntersectionObserver 回调
+   * 可见比例达到 visibilityRatio 的元素在持续 visibilityDwell 毫秒后触发进入事件，
+   * 已触发进入事件的元素不再满足条件时触发离开事件
+   * @param {Array<IntersectionObserverEntry>} entries
+   */
+  _handleIntersection(entries) {
+    const ratio = this.options.visibilityRatio;
+
+    entries.forEach(entry => {
+      const element = entry.target;
+      // 高于视口的元素可见比例达不到 visibilityRatio，覆盖整个视口时同样算作进入视口
+      const isVisible = entry.isIntersecting && (entry.intersectionRatio >= ratio || this._coversViewport(element));
+
+      // 观察器只在比例跨过阈值时回调，覆盖视口的时机由滚动时检查
+      if (entry.isIntersecting && !isVisible && this._getOffsetSize(element) * ratio > this._getViewportSize()) {
+        this.tallElements.add(element);
+      } else {
+        this.tallElements.delete(element);
+      }
+
+      if (isVisible) {
+        this._enterVisible(element);
+        return;
+      }
+
+      // 持续可见时间不足，不触发任何事件
+      this._cancelDwell(element);
+
+      const visibility = this.visibleElements.get(element);
+      if (visibility) {
+        this.visibleElements.delete(element);
+        this._queueVisibility('hidden', {
+          index: parseInt(element.getAttribute('data-index'), 10),
+          item: visibility.item,
+        });
+      }
+    });
+  }
+
+  /**
+   * 元素满足可见条件：持续 visibilityDwell 毫秒后标记为可见（已可见或正在计时的元素不重复处理）
+   * @param {HTMLElement} element
+   */
+  _enterVisible(element) {
+    if (this.visibleElements.has(element) || this.dwellTimers.has(element)) return;
+    if (this.options.visibilityDwell > 0) {
+      const timer = setTimeout(() => {
+        this.dwellTimers.delete(element);
+        this._markVisible(element);
+      }, this.options.visibilityDwell);
+      this.dwellTimers.set(element, timer);
+    } else {
+      this._markVisible(element);
+    }
+  }
+
+  /**
+   * 元素是否覆盖了整个视口（滚动方向上）
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  _coversViewport(element) {
+    const rect = element.getBoundingClientRect();
+    const viewport = this._getViewportRect();
+    const viewportSize = this._getViewportSize();
+    const start = this.isHorizontal ? viewport.left : viewport.top;
+    const elementStart = this.isHorizontal ? rect.left : rect.top;
+    const elementEnd = this.isHorizontal ? rect.right : rect.bottom;
+    return elementStart <= start + 1 && elementEnd >= start + viewportSize - 1;
+  }
+
+  /**
+   * 滚动时检查高于视口的元素是否已覆盖整个视口
+   */
+  _checkTallElements() {
+    this.tallElements.forEach(element => {
+      if (!element.isConnected) {
+        this.tallElements.delete(element);
+      } else if (this._coversViewport(element)) {
+        this.tallElements.delete(element);
+        this._enterVisible(element);
+      }
+    });
+  }
+
+  /**
+   * 标记元素为可见并加入进入事件队列
+   * @param {HTMLElement} element
+   */
+  _markVisible(element) {
+    if (!element.isConnected) return;
+    const index = parseInt(element.getAttribute('data-index'), 10);
+    const visibility = { index, item: this.items[index] };
+    this.visibleElements.set(element, visibility);
+    this._queueVisibility('visible', visibility);
+  }
+
+  /**
+   * 取消等待中的持续可见计时
+   * @param {HTMLElement} element
+   */
+  _cancelDwell(element) {
+    const timer = this.dwellTimers.get(element);
+    if (timer !== undefined) {
+      clearTimeout(timer);
+      this.dwellTimers.delete(element);
+    }
+  }
+
+  /**
+   * 将可见性事件加入队列，在下一帧批量派发
+   * @param {string} type - 'visible' 或 'hidden'
+   * @param {Object} visibility - { index, item }
+   */
+  _queueVisibility(type, visibility) {
+    this.visibilityQueue[type].push(visibility);
+    if (this.visibilityRaf) return;
+
+    this.visibilityRaf = requestAnimationFrame(() => {
+      this.visibilityRaf = null;
+      const { visible, hidden } = this.visibilityQueue;
+      this.visibilityQueue = { visible: [], hidden: [] };
+
+      if (hidden.length > 0 && this.options.onItemsHidden) {
+        this.options.onItemsHidden(hidden);
+      }
+      if (visible.length > 0 && this.options.onItemsVisible) {
+        this.options.onItemsVisible(visible);
+      }
+    });
+  }
+
+  /**
+   * 判断视口是否远离已渲染区域（超过缓冲距离）
+   * @param {number} scrollTop - 滚动位置（默认为当前位置）
+   * @returns {boolean}
+   */
+  _isFarFromRendered(scrollTop = this._getScrollPosition()) {
+    if (this.renderedStartIndex === -1) return false;
+
+    const containerHeight = this._getViewportSize();
+    const bufferHeight = containerHeight * this.options.bufferThreshold;
+    const renderedTop = this._getOffsetStart(this.contentContainer);
+    const renderedBottom = renderedTop + this._getOffsetSize(this.contentContainer);
+
+    return scrollTop + containerHeight < renderedTop - bufferHeight ||
+           scrollTop > renderedBottom + bufferHeight;
+  }
+
+  /**
+   * 检查是否滚动到边界，如果是则显示 loading 并加载更多内容
+   */
+  async _checkScrollBoundary() {
+    if (this.items.length === 0) {
+      // 没有任何数据时直接请求远程数据
+      const direction = this._canLoadRemote('end') ? 'end' : 'start';
+      await this._loadRemote(direction);
+      return;
+    }
+    if (this.renderedStartIndex === -1) return;
+
+    const containerHeight = this._getViewportSize();
+    const scrollTop = this._getScrollPosition();
+    const scrollBottom = scrollTop + containerHeight;
+
+    // 已渲染区域的边界（占位符存在时不等于滚动区域的边界）
+    const renderedTop = this._getOffsetStart(this.contentContainer);
+    const renderedBottom = renderedTop + this._getOffsetSize(this.contentContainer);
+
+    const threshold = 100; // 触发阈值（像素）
+
+    // 检查是否滚动到已渲染区域的底部边界
+    if (scrollBottom >= renderedBottom - threshold) {
+      if (this.renderedEndIndex < this.items.length) {
+        await this._loadMoreDown();
+        return;
+      }
+      // 本地数据已全部渲染，请求远程数据
+      if (this._canLoadRemote('end')) {
+        await this._loadRemote('end');
+        return;
+      }
+    }
+
+    // 检查是否滚动到已渲染区域的顶部边界
+    if (scrollTop <= renderedTop + threshold) {
+      if (this.renderedStartIndex > 0) {
+        await this._loadMoreUp();
+        return;
+      }
+      if (this._canLoadRemote('start')) {
+        await this._loadRemote('start');
+        return;
+      }
+    }
+  }
+
+  /**
+   * 指定方向是否可以自动请求远程数据（失败后需要手动重试）
+   * @param {string} direction - 'start' 或 'end'
+   * @returns {boolean}
+   */
+  _canLoadRemote(direction) {
+    const callback = direction === 'start' ? this.options.onReachStart : this.options.onReachEnd;
+    return !!callback && this.hasMore[direction] && !this.loadErrors[direction];
+  }
+
+  /**
+   * 调用 onReachEnd / onReachStart 请求数据，并追加到对应的一端
+   * 同一方向同时只有一个请求，重复调用返回同一个 Promise；请求失败时不会 reject，错误显示在加载指示器中
+   * @param {string} direction - 'start' 或 'end'
+   * @returns {Promise<void>}
+   */
+  _loadRemote(direction) {
+    if (this.remoteLoads[direction]) return this.remoteLoads[direction];
+
+    const callback = direction === 'start' ? this.options.onReachStart : this.options.onReachEnd;
+    if (!callback || !this.hasMore[direction] || this.isDestroyed) return Promise.resolve();
+
+    const generation = this.loadGeneration;
+    const edgeItem = direction === 'start' ? this.items[0] : this.items[this.items.length - 1];
+    const isStale = () => this.isDestroyed || generation !== this.loadGeneration;
+
+    this.loadErrors[direction] = null;
+    this._setLoaderState(direction, 'loading');
+
+    // 请求失败，或渲染返回的数据时出错（render 抛出异常等），都进入失败状态等待重试
+    const fail = error => {
+      if (isStale()) return;
+      this.remoteLoads[direction] = null;
+      this.loadErrors[direction] = error || new Error('FastScrollView: Failed to load more items');
+      this._setLoaderState(direction, 'error');
+    };
+
+    const promise = Promise.resolve()
+      .then(() => callback({ item: edgeItem, count: this.items.length }))
+      .then(result => {
+        if (isStale()) return;
+        const { items, hasMore } = this._normalizeLoadResult(result);
+        this.remoteLoads[direction] = null;
+        this.hasMore[direction] = hasMore;
+        this._setLoaderState(direction, null);
+
+        // append / prepend 会通过滚动锚定保持视口位置
+        if (direction === 'start') {
+          this.prepend(items);
+        } else {
+          this.append(items);
+        }
+
+        // 新数据仍不足以离开边界时继续加载
+        if (items.length > 0) this._checkScrollBoundary();
+      })
+      .catch(fail);
+
+    this.remoteLoads[direction] = promise;
+    return promise;
+  }
+
+  /**
+   * 统一 onReachEnd / onReachStart 的返回值
+   * @param {Array|Object} result - 数据数组，或 { items, hasMore }
+   * @returns {{items: Array, hasMore: boolean}}
+   */
+  _normalizeLoadResult(result) {
+    if (Array.isArray(result)) {
+      // 只返回数组时，以空数组表示没有更多数据
+      return { items: result, hasMore: result.length > 0 };
+    }
+    const items = result && Array.isArray(result.items) ? result.items : [];
+    const hasMore = result && result.hasMore !== undefined ? !!result.hasMore : items.length > 0;
+    return { items, hasMore };
+  }
+
+  /**
+   * 向下加载更多内容
+   */
+  async _loadMoreDown() {
+    if (this.isLoadingMore || this.renderedEndIndex >= this.items.length) return;
+
+    this.isLoadingMore = true;
+    this._setLoaderState('end', 'loading');
+
+    // 使用 Promise 来等待渲染完成
+    await new Promise(resolve => {
+      requestAnimationFrame(() => {
+        const containerHeight = this._getViewportSize();
+        const targetHeight = containerHeight * this.options.bufferThreshold;
+        this._expandDown(targetHeight, this._getRenderDeadline());
+        // 超出时间预算未完成的部分留到之后填充
+        this._scheduleFill();
+
+        requestAnimationFrame(() => {
+          this._syncLoaderState('end');
+          this.isLoadingMore = false;
+          resolve();
+        });
+      });
+    });
+  }
+
+  /**
+   * 向上加载更多内容
+   */
+  async _loadMoreUp() {
+    if (this.isLoadingMore || this.renderedStartIndex <= 0) return;
+
+    this.isLoadingMore = true;
+    this._setLoaderState('start', 'loading');
+
+    // 使用 Promise 来等待渲染完成
+    await new Promise(resolve => {
+      requestAnimationFrame(() => {
+        // 向上扩展时会自动补偿新增内容的高度
+        const containerHeight = this._getViewportSize();
+        const targetHeight = containerHeight * this.options.bufferThreshold;
+        this._expandUp(targetHeight, this._getRenderDeadline());
+        this._scheduleFill();
+
+        requestAnimationFrame(() => {
+          // 如果所有内容都加载完了，调整底部对齐
+          this._adjustBottomAlign();
+
+          this._syncLoaderState('start');
+          this.isLoadingMore = false;
+          resolve();
+        });
+      });
+    });
+  }
+
+  /**
+   * 向下扩展渲染（从当前 renderedEndIndex 开始向下渲染直到达到目标高度）
+   * @param {number} targetHeight - 目标高度
+   * @param {number} [deadline] - 截止时间（performance.now()），超过后不再渲染下一批
+   * @returns {number} 累计渲染的高度
+   */
+  _expandDown(targetHeight, deadline = Infinity) {
+    // 网格模式下按整行渲染
+    const batchSize = Math.ceil(this.batchSize / this.columns) * this.columns;
+    let accumulatedHeight = 0;
+
+    // 预估高度变化会改变顶部占位符，以原有内容为锚点补偿滚动位置
+    const anchor = this._captureAnchor();
+
+    while (this.renderedEndIndex < this.items.length && accumulatedHeight < targetHeight) {
+      const batchEnd = Math.min(this._getRowStart(this.renderedEndIndex) + batchSize, this.items.length);
+      // 先插入整批元素，再统一测量（直接使用元素引用，只触发一次重排）
+      const fragment = this._renderItems(this.renderedEndIndex, batchEnd);
+      const elements = Array.from(fragment.children);
+      this.contentContainer.appendChild(fragment);
+      accumulatedHeight += this._measureHeight(this.renderedEndIndex, batchEnd, elements);
+      this.renderedEndIndex = batchEnd;
+      if (performance.now() >= deadline) break;
+    }
+
+    // 新渲染的元素取代了对应的占位高度
+    this._updateSpacers();
+    this._restoreAnchor(anchor);
+
+    return accumulatedHeight;
+  }
+
+  /**
+   * 向上扩展渲染（从当前 renderedStartIndex 开始向上渲染直到达到目标高度）
+   * @param {number} targetHeight - 目标高度
+   * @param {number} [deadline] - 截止时间（performance.now()），超过后不再渲染下一批
+   * @returns {number} 累计渲染的高度
+   */
+  _expandUp(targetHeight, deadline = Infinity) {
+    // 网格模式下按整行渲染（末尾不满一行时从该行行首开始）
+    const batchSize = Math.ceil(this.batchSize / this.columns) * this.columns;
+    let accumulatedHeight = 0;
+
+    // 以原有内容为锚点，插入新元素后补偿滚动位置
+    const anchor = this._captureAnchor();
+
+    while (this.renderedStartIndex > 0 && accumulatedHeight < targetHeight) {
+      const batchStart = this._getRowStart(Math.max(0, this.renderedStartIndex - batchSize));
+      const fragment = this._renderItems(batchStart, this.renderedStartIndex);
+      const elements = Array.from(fragment.children);
+      const firstChild = this.contentContainer.firstChild;
+      if (firstChild) {
+        this.contentContainer.insertBefore(fragment, firstChild);
+      } else {
+        this.contentContainer.appendChild(fragment);
+      }
+      accumulatedHeight += this._measureHeight(batchStart, this.renderedStartIndex, elements);
+      this.renderedStartIndex = batchStart;
+      if (performance.now() >= deadline) break;
+    }
+
+    // 新渲染的元素取代了对应的占位高度
+    this._updateSpacers();
+    this._restoreAnchor(anchor);
+
+    return accumulatedHeight;
+  }
+
+  /**
+   * 本帧渲染的截止时间（未开启分帧渲染时不限制）
+   * @returns {number}
+   */
+  _getRenderDeadline() {
+    const { frameBudget } = this.options;
+    return frameBudget > 0 ? performance.now() + frameBudget : Infinity;
+  }
+
+  /**
+   * 已渲染区域距离缓冲区边界还差多少（像素），已到达列表两端的方向为 0
+   * @returns {Object} { down, up }
+   */
+  _getFillShortfall() {
+    const containerHeight = this._getViewportSize();
+    const bufferHeight = containerHeight * this.options.bufferThreshold;
+    const scrollTop = this._getScrollPosition();
+    const renderedTop = this._getOffsetStart(this.contentContainer);
+    const renderedBottom = renderedTop + this._getOffsetSize(this.contentContainer);
+
+    return {
+      down: this.renderedEndIndex < this.items.length
+        ? Math.max(0, scrollTop + containerHeight + bufferHeight - renderedBottom) : 0,
+      up: this.renderedStartIndex > 0
+        ? Math.max(0, renderedTop - (scrollTop - bufferHeight)) : 0,
+    };
+  }
+
+  /**
+   * 安排填充缓冲区（需要开启 frameBudget）：优先在空闲时间执行，不支持 requestIdleCallback 时在下一帧执行
+   */
+  _scheduleFill() {
+    if (!(this.options.frameBudget > 0) || this.fillTask || this.isDestroyed) return;
+
+    if (typeof requestIdleCallback === 'function') {
+      this.fillTask = {
+        idle: requestIdleCallback(idleDeadline => {
+          this.fillTask = null;
+          this._fillBuffer(idleDeadline);
+        }, { timeout: FILL_IDLE_TIMEOUT }),
+      };
+    } else {
+      this.fillTask = {
+        raf: requestAnimationFrame(() => {
+          this.fillTask = null;
+          this._fillBuffer(null);
+        }),
+      };
+    }
+  }
+
+  /**
+   * 取消等待执行的缓冲区填充（重新渲染或销毁时，之前的填充已过期）
+   */
+  _cancelFill() {
+    if (!this.fillTask) return;
+    if (this.fillTask.idle !== undefined) {
+      cancelIdleCallback(this.fillTask.idle);
+    } else {
+      cancelAnimationFrame(this.fillTask.raf);
+    }
+    this.fillTask = null;
+  }
+
+  /**
+   * 在时间预算内向下、向上填充缓冲区，未完成时安排下一次填充
+   * @param {IdleDeadline|null} idleDeadline - requestIdleCallback 提供的空闲时间
+   */
+  _fillBuffer(idleDeadline) {
+    if (this.renderedStartIndex === -1) return;
+    // 正在渲染、加载或 scrollToItem 尚未滚动到目标位置时稍后再试
+    if (this.isUpdating || this.isLoadingMore || this.scrollAnimation) {
+      this._scheduleFill();
+      return;
+    }
+    // 已滚动到远离已渲染区域的位置，由滚动事件从新位置重新渲染
+    if (this._isFarFromRendered()) return;
+
+    let budget = this.options.frameBudget;
+    if (idleDeadline && !idleDeadline.didTimeout) {
+      budget = Math.min(budget, idleDeadline.timeRemaining());
+    }
+    const deadline = performance.now() + budget;
+
+    // 先填充下方（滚动方向通常向下），再填充上方
+    let shortfall = this._getFillShortfall();
+    if (shortfall.down > 0) {
+      this._expandDown(shortfall.down, deadline);
+      shortfall = this._getFillShortfall();
+    }
+    if (shortfall.up > 0 && performance.now() < deadline) {
+      this._expandUp(shortfall.up, deadline);
+      shortfall = this._getFillShortfall();
+    }
+
+    if (shortfall.down > 0 || shortfall.up > 0) {
+      this._scheduleFill();
+    } else {
+      this._adjustBottomAlign();
+    }
+  }
+
+  /**
+   * 根据已渲染范围更新上下占位符的高度
+   */
+  _updateSpacers() {
+    if (this.renderedStartIndex === -1) {
+      this.spacerSizes = [0, 0];
+      this._updateScrollScale(0);
+      return;
+    }
+    this.spacerSizes = [
+      this.heightCache.sum(0, this.renderedStartIndex),
+      this.heightCache.sum(this.renderedEndIndex, this.items.length),
+    ];
+    this._updateScrollScale(this.heightCache.getTotalHeight());
+    this._scheduleRenderUpdate();
+  }
+
+  /**
+   * 安排在本轮渲染结束后更新吸顶标题和无障碍属性（两者都要遍历已渲染的元素）：
+   * 同一轮中多次扩展渲染、数据修改只执行一次，在微任务中执行，早于浏览器绘制
+   */
+  _scheduleRenderUpdate() {
+    if (this.isRenderUpdatePending) return;
+    this.isRenderUpdatePending = true;
+    Promise.resolve().then(() => {
+      this.isRenderUpdatePending = false;
+      if (this.isDestroyed) return;
+      this._updateStickyHeader();
+      this._updateAccessibility();
+    });
+  }
+
+  /**
+   * 按列表总高度更新滚动条缩放，并设置占位符的实际尺寸（视口中的内容保持不动）
+   * @param {number} totalHeight - 列表的逻辑总高度
+   */
+  _updateScrollScale(totalHeight) {
+    const excess = Math.max(0, totalHeight - this.options.maxScrollSize);
+    this._toggleWheelHandler(excess > 0);
+    this.scrollExcess = excess;
+    if (excess === 0) this.lastRawScrollPosition = null;
+    this._applyScrollShift(this.scrollShift, true);
+  }
+
+  /**
+   * 记录锚点：视口中第一个可见的已渲染元素及其位置
+   * 占位符、上方内容或数据变化后，通过 _restoreAnchor 使该元素保持在原来的视觉位置
+   * @param {HTMLElement} [exclude] - 不能作为锚点的元素
+   * @returns {Object|null} { element, index, top, offset }，offset 为视口顶部在元素内的偏移
+   */
+  _captureAnchor(exclude = null) {
+    const scrollTop = this._getScrollPosition();
+    let anchor = null;
+    let element = this.contentContainer.firstElementChild;
+    while (element) {
+      // 正在离开的元素高度会变化，不能作为锚点
+      if (element !== exclude && !element.hasAttribute('data-leaving')) {
+        anchor = element;
+        if (this._getOffsetStart(element) + this._getOffsetSize(element) > scrollTop) break;
+      }
+      element = element.nextElementSibling;
+    }
+    if (!anchor) return null;
+
+    const top = this._getOffsetStart(anchor);
+    return {
+      element: anchor,
+      index: parseInt(anchor.getAttribute('data-index'), 10),
+      top,
+      offset: scrollTop - top,
+    };
+  }
+
+  /**
+   * 数据插入/删除后平移锚点的索引
+   * 如果锚点元素本身被删除，锚点移到删除位置之后的第一个元素
+   * @param {Object|null} anchor - _captureAnchor 的返回值
+   * @param {number} index - 变化发生的位置
+   * @param {number} deleteCount - 删除的数量
+   * @param {number} insertCount - 插入的数量
+   */
+  _shiftAnchor(anchor, index, deleteCount, insertCount) {
+    if (!anchor) return;
+    if (anchor.index >= index + deleteCount) {
+      anchor.index += insertCount - deleteCount;
+    } else if (anchor.index >= index && deleteCount > 0) {
+      anchor.index = index + insertCount;
+      anchor.element = null;
+      anchor.offset = 0;
+    }
+  }
+
+  /**
+   * 恢复锚点：使锚点元素回到记录时的视觉位置
+   * 锚点元素仍在 DOM 中时补偿其位移；否则按索引找到对应的元素
+   * @param {Object|null} anchor - _captureAnchor 的返回值
+   */
+  _restoreAnchor(anchor) {
+    if (!anchor) return;
+
+    if (anchor.element && anchor.element.isConnected) {
+      const delta = this._getOffsetStart(anchor.element) - anchor.top;
+      if (delta !== 0) {
+        this._setScrollPosition(this._getScrollPosition() + delta);
+      }
+      return;
+    }
+
+    if (anchor.index < 0 || anchor.index >= this.items.length) return;
+    const element = this.contentContainer.querySelector(`[data-index="${anchor.index}"]`);
+    if (element) {
+      this._setScrollPosition(this._getOffsetStart(element) + anchor.offset);
+    } else {
+      // 锚点不在已渲染范围内，从锚点位置重新渲染
+      this._renderFromIndex(anchor.index, anchor.offset);
+    }
+  }
+
+  /**
+   * 卸载远离视口的元素
+   * 超出 recycleThreshold 个屏幕高度的元素会被移除，其测量高度计入占位符中，
+   * 因此滚动位置不会跳动
+   */
+  _recycleOutOfView() {
+    // 超长列表总是回收（已渲染范围需要保持在滚动条一一对应的范围内）
+    const threshold = this.options.recycleThreshold || (this.scrollExcess > 0 ? this.options.bufferThreshold + 1 : 0);
+    if (threshold <= 0 || this.renderedStartIndex === -1) return;
+    if (this.isLoadingMore) return;
+
+    const containerHeight = this._getViewportSize();
+    const scrollTop = this._getScrollPosition();
+    const distance = containerHeight * threshold;
+    const anchor = this._captureAnchor();
+
+    // 先读取位置确定要卸载的元素，再统一移除（移除过程中布局会变化）
+    const toRemove = [];
+
+    // 上方的元素（至少保留一个元素）
+    let element = this.contentContainer.firstElementChild;
+    while (element && element !== this.contentContainer.lastElementChild) {
+      if (element.hasAttribute('data-leaving')) {
+        element = element.nextElementSibling;
+        continue;
+      }
+      const height = this._getOffsetSize(element);
+      if (this._getOffsetStart(element) + height >= scrollTop - distance) break;
+
+      const index = parseInt(element.getAttribute('data-index'), 10);
+      this._recordElementHeight(element, index);
+      this.renderedStartIndex = index + 1;
+      toRemove.push(element);
+      element = element.nextElementSibling;
+    }
+    const firstKept = element;
+
+    // 下方的元素（至少保留一个元素）
+    element = this.contentContainer.lastElementChild;
+    while (element && element !== firstKept) {
+      if (element.hasAttribute('data-leaving')) {
+        element = element.previousElementSibling;
+        continue;
+      }
+      if (this._getOffsetStart(element) <= scrollTop + containerHeight + distance) break;
+
+      const index = parseInt(element.getAttribute('data-index'), 10);
+      this._recordElementHeight(element, index);
+      this.renderedEndIndex = index;
+      toRemove.push(element);
+      element = element.previousElementSibling;
+    }
+
+    // 网格模式下只卸载整行：不完整的行保留
+    if (this.columns > 1) {
+      const start = this._getRowStart(this.renderedStartIndex);
+      const end = this.renderedEndIndex < this.items.length
+        ? Math.min(this._getRowStart(this.renderedEndIndex + this.columns - 1), this.items.length)
+        : this.renderedEndIndex;
+      this.renderedStartIndex = start;
+      this.renderedEndIndex = end;
+      for (let i = toRemove.length - 1; i >= 0; i--) {
+        const index = parseInt(toRemove[i].getAttribute('data-index'), 10);
+        if (index >= start && index < end) toRemove.splice(i, 1);
+      }
+    }
+
+    if (toRemove.length === 0) return;
+    toRemove.forEach(node => this._removeItemElement(node));
+
+    this._updateSpacers();
+    this._restoreAnchor(anchor);
+  }
+
+  /**
+   * 记录即将卸载的元素的高度（网格模式下测量整行；占位元素不记录）
+   * @param {HTMLElement} element
+   * @param {number} index
+   */
+  _recordElementHeight(element, index) {
+    if (this.columns > 1) {
+      this._measureRows(index, index + 1);
+    } else if (!element.hasAttribute('data-placeholder')) {
+      this.heightCache.set(index, this._getOffsetSize(element));
+      this.stats.measurements++;
+    }
+  }
+
+  /**
+   * 测量指定范围内已渲染元素的高度并记录到缓存
+   * 调用前应完成所有 DOM 写入：测量只读取尺寸，连续的读取只触发一次重排
+   * @param {number} startIndex
+   * @param {number} endIndex
+   * @param {Array<HTMLElement>} [elements] - 范围内的元素（刚插入的元素），未提供时从已渲染的元素中查找
+   * @returns {number} 测量到的高度之和
+   */
+  _measureHeight(startIndex, endIndex, elements = null) {
+    if (this.columns > 1) return this._measureRows(startIndex, endIndex);
+
+    const measureStart = performance.now();
+    const targets = elements || this._getRenderedElements(startIndex, endIndex);
+    const heights = targets.map(element => this._getOffsetSize(element));
+
+    let accumulatedHeight = 0;
+    targets.forEach((element, i) => {
+      // 占位元素的高度来自预估值，不记录到缓存
+      if (!element.hasAttribute('data-placeholder')) {
+        this.heightCache.set(Number(element.getAttribute('data-index')), heights[i]);
+      }
+      accumulatedHeight += heights[i];
+    });
+
+    this.stats.measurements += targets.length;
+    this.stats.measureTime += performance.now() - measureStart;
+    return accumulatedHeight;
+  }
+
+  /**
+   * 一次遍历获取指定范围内已渲染的元素（不含正在离开的元素），按索引排列
+   * @param {number} startIndex
+   * @param {number} endIndex
+   * @returns {Array<HTMLElement>}
+   */
+  _getRenderedElements(startIndex, endIndex) {
+    const elements = [];
+    for (const element of this.contentContainer.children) {
+      if (!element.hasAttribute('data-index')) continue;
+      const index = Number(element.getAttribute('data-index'));
+      if (index >= startIndex && index < endIndex) elements.push(element);
+    }
+    return elements;
+  }
+
+  /**
+   * 网格模式下按行测量：范围扩展到整行，行高取行内元素的最大高度
+   * @param {number} startIndex
+   * @param {number} endIndex
+   * @returns {number} 测量到的行高之和
+   */
+  _measureRows(startIndex, endIndex) {
+    const measureStart = performance.now();
+    const firstRow = this._getRowStart(startIndex);
+    const lastRowEnd = endIndex > firstRow
+      ? Math.min(this._getRowStart(endIndex - 1) + this.columns, this.items.length) : firstRow;
+
+    // 先集中读取范围内所有元素的尺寸
+    const heights = new Map();
+    this._getRenderedElements(firstRow, lastRowEnd).forEach(element => {
+      heights.set(Number(element.getAttribute('data-index')), {
+        height: this._getOffsetSize(element),
+        placeholder: element.hasAttribute('data-placeholder'),
+      });
+    });
+
+    let accumulatedHeight = 0;
+    for (let rowStart = firstRow; rowStart < endIndex; rowStart += this.columns) {
+      const rowEnd = Math.min(rowStart + this.columns, this.items.length);
+      if (!heights.has(rowStart)) continue;
+
+      let rowHeight = 0;
+      let hasPlaceholder = false;
+      for (let i = rowStart; i < rowEnd && heights.has(i); i++) {
+        const measured = heights.get(i);
+        rowHeight = Math.max(rowHeight, measured.height);
+        hasPlaceholder = hasPlaceholder || measured.placeholder;
+      }
+
+      // 行内元素平均分摊行高；含占位元素的行高度来自预估值，不记录
+      if (!hasPlaceholder) {
+        for (let i = rowStart; i < rowEnd; i++) {
+          this.heightCache.set(i, rowHeight / (rowEnd - rowStart));
+        }
+      }
+      accumulatedHeight += rowHeight;
+    }
+
+    this.stats.measurements += heights.size;
+    this.stats.measureTime += performance.now() - measureStart;
+    return accumulatedHeight;
+  }
+
+  /**
+   * 网格模式下数据插入/删除后，后续元素会整体错位到其他行：
+   * 保证渲染范围从行首开始、在行尾（或列表末尾）结束，并重新测量已渲染的行
+   */
+  _realignRows() {
+    if (this.columns === 1 || this.renderedStartIndex === -1) return;
+
+    const misaligned = this.renderedStartIndex % this.columns;
+    if (misaligned > 0) {
+      for (let i = misaligned; i < this.columns && this.renderedStartIndex < this.renderedEndIndex; i++) {
+        this._removeItemElement(this.contentContainer.firstElementChild);
+        this.renderedStartIndex++;
+      }
+    }
+
+    if (this.renderedEndIndex < this.items.length) {
+      let extra = this.renderedEndIndex % this.columns;
+      while (extra > 0 && this.renderedEndIndex > this.renderedStartIndex) {
+        this._removeItemElement(this.contentContainer.lastElementChild);
+        this.renderedEndIndex--;
+        extra--;
+      }
+    }
+
+    this._measureRows(this.renderedStartIndex, this.renderedEndIndex);
+  }
+
+  /**
+   * 更新可视区域内的元素
+   * 支持跳跃式渲染：可以从任意位置开始渲染
+   */
+  _updateVisibleItems() {
+    if (this.items.length === 0) {
+      this._clearContent();
+      this._setElementSize(this.alignSpacer, 0);
+      this._updateSpacers();
+      this._syncLoaderState('start');
+      this._syncLoaderState('end');
+      return;
+    }
+
+    // 如果还没有渲染任何内容，从当前滚动位置开始渲染
+    if (this.renderedStartIndex === -1) {
+      this.isUpdating = true;
+      // 如果设置为底部对齐，从底部开始渲染
+      if (this.options.align === 'bottom') {
+        this.renderFromBottom();
+      } else {
+        this.renderFromPosition(this._getScrollPosition());
+      }
+      this.isUpdating = false;
+      return;
+    }
+  }
+
+  /**
+   * 从指定滚动位置开始渲染
+   * 策略：根据已测量和预估的高度计算起始位置，然后分批渲染、测量、判断，直到填满屏幕
+   */
+  renderFromPosition(scrollTop) {
+    // 找到起始索引，以及滚动位置在该元素内的偏移
+    const startIndex = this._getRowStart(this.heightCache.getIndexAtOffset(scrollTop));
+    const offsetInItem = scrollTop - this.heightCache.getOffset(startIndex);
+    // 由外部元素滚动时列表上方的内容可能可见（滚动位置为负数），渲染后保持不动
+    this._renderFromIndex(startIndex, this.isExternalScroll ? offsetInItem : Math.max(0, offsetInItem));
+  }
+
+  /**
+   * 从指定元素开始渲染，并使视口顶部位于该元素内的指定偏移处
+   * @param {number} startIndex - 起始索引
+   * @param {number} offsetInItem - 视口顶部在起始元素内的偏移
+   */
+  _renderFromIndex(index, offsetInItem = 0) {
+    // 网格模式下从所在行的行首开始渲染（同一行的元素顶部相同）
+    const startIndex = this._getRowStart(index);
+    const containerHeight = this._getViewportSize();
+    const expandThreshold = containerHeight * this.options.bufferThreshold;
+
+    // 从起始位置开始渲染，直到填满目标高度
+    this.renderedStartIndex = startIndex;
+    this.renderedEndIndex = startIndex;
+    this._clearContent();
+
+    // 使用通用的扩展方法，先向下填满屏幕，再向上渲染缓冲区
+    // 分帧渲染时只同步渲染可见部分，缓冲区稍后填充
+    if (this.options.frameBudget > 0) {
+      const visibleHeight = containerHeight + Math.max(0, offsetInItem);
+      const renderedHeight = this._expandDown(visibleHeight);
+      // 接近列表末尾时视口会被推到起始元素上方，上方的可见部分同样需要同步渲染
+      this._expandUp(Math.max(0, visibleHeight - renderedHeight));
+      this._scheduleFill();
+    } else {
+      const targetHeight = containerHeight + expandThreshold;
+      this._expandDown(targetHeight);
+      this._expandUp(expandThreshold);
+    }
+
+    // 上方元素的实际高度可能与预估不同，以起始元素为准校正滚动位置
+    const startElement = this.contentContainer.querySelector(`[data-index="${startIndex}"]`);
+    if (startElement) {
+      this._setScrollPosition(this._getOffsetStart(startElement) + offsetInItem);
+      this.lastScrollTop = this._getScrollPosition();
+    }
+  }
+
+  /**
+   * 从底部开始渲染（用于 align: 'bottom'）
+   * 策略：从最后一项开始向前渲染，填满屏幕，然后滚动到底部
+   */
+  renderFromBottom() {
+    if (this.items.length === 0) {
+      return;
+    }
+
+    const containerHeight = this._getViewportSize();
+    const expandThreshold = containerHeight * this.options.bufferThreshold;
+    // 分帧渲染时只同步渲染可见部分，缓冲区稍后填充
+    const targetHeight = this.options.frameBudget > 0 ? containerHeight : containerHeight + expandThreshold;
+
+    // 清空内容
+    this._clearContent();
+
+    // 从最后一项开始，使用通用的向上扩展方法
+    this.renderedStartIndex = this.items.length;
+    this.renderedEndIndex = this.items.length;
+    this._expandUp(targetHeight);
+    this._scheduleFill();
+
+    // 调整底部对齐
+    this._adjustBottomAlign();
+
+    // 立即滚动到底部（在 DOM 更新的同一帧）
+    this._setScrollPosition(this._getScrollSize());
+
+    // 确保滚动位置正确
+    requestAnimationFrame(() => {
+      this._setScrollPosition(this._getScrollSize());
+    });
+  }
+
+  /**
+   * 调整底部对齐：当内容不足一屏时，使用 alignSpacer 将内容推到底部
+   */
+  _adjustBottomAlign() {
+    if (this.options.align !== 'bottom') {
+      this._setElementSize(this.alignSpacer, 0);
+      return;
+    }
+
+    // 检查是否所有内容都已渲染
+    const allRendered = this.renderedStartIndex === 0 && this.renderedEndIndex === this.items.length;
 
     if (!allRendered || this.items.length === 0) {
-      this.topSpacer.style.height = '0px';
+      this._setElementSize(this.alignSpacer, 0);
+      return;
+    }
+
+    // 测量内容高度（需要在下一帧测量以确保 DOM 已更新）
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        const containerHeight = this._getViewportSize();
+        const contentHeight = this._getOffsetSize(this.contentContainer);
+
+        if (contentHeight < containerHeight) {
+          // 内容不足一屏，使用 alignSpacer 推到底部
+          const paddingHeight = containerHeight - contentHeight;
+          this._setElementSize(this.alignSpacer, paddingHeight);
+        } else {
+          // 内容足够，不需要占位
+          this._setElementSize(this.alignSpacer, 0);
+        }
+      });
+    });
+  }
+
+  /**
+   * 渲染指定范围内的元素
+   * @param {number} startIndex
+   * @param {number} endIndex
+   * @returns {DocumentFragment} 渲染后的文档片段
+   */
+  _renderItems(startIndex, endIndex) {
+    const fragment = document.createDocumentFragment();
+    for (let i = startIndex; i < endIndex; i++) {
+      // 数据源模式下未加载的数据渲染为占位元素；普通模式下只跳过稀疏数组的空位（0、''、null 等照常渲染）
+      if (!this.pageCache && !(i in this.items)) continue;
+      const item = this.items[i];
+      const itemElement = this._createItemElement(item, i);
+      fragment.appendChild(itemElement);
+    }
+    return fragment;
+  }
+
+  /**
+   * 清空已渲染的元素
+   */
+  _clearContent() {
+    this._cancelFill();
+    const elements = Array.from(this.contentContainer.children);
+    elements.forEach(element => {
+      this._unobserveItem(element);
+    });
+    this.leavingElements.clear();
+    this.contentContainer.innerHTML = '';
+    elements.forEach(element => this._releaseItemElement(element));
+  }
+
+  /**
+   * 移除单个已渲染的元素
+   * @param {HTMLElement} element
+   */
+  _removeItemElement(element) {
+    this._unobserveItem(element);
+    element.remove();
+    this._releaseItemElement(element);
+  }
+
+  /**
+   * 用新元素替换已渲染的元素
+   * @param {HTMLElement} element - 旧元素
+   * @param {HTMLElement} newElement - 新元素
+   */
+  _replaceItemElement(element, newElement) {
+    // 同一索引的元素被替换时继承可见状态，避免重复触发离开/进入事件
+    const visibility = this.visibleElements.get(element);
+    if (visibility) {
+      this.visibleElements.delete(element);
+      const index = parseInt(newElement.getAttribute('data-index'), 10);
+      this.visibleElements.set(newElement, { index, item: this.items[index] });
+    }
+    this._unobserveItem(element);
+    element.replaceWith(newElement);
+    this._releaseItemElement(element);
+  }
+
+  /**
+   * 获取数据项在复用池中的类型
+   * @param {*} item
+   * @returns {*}
+   */
+  _getItemType(item) {
+    return this.options.itemType ? this.options.itemType(item) : null;
+  }
+
+  /**
+   * 从复用池中取出与数据项同类型的元素
+   * @param {*} item
+   * @returns {HTMLElement|null}
+   */
+  _takePooledElement(item) {
+    const pool = this.elementPool.get(this._getItemType(item));
+    return pool && pool.length > 0 ? pool.pop() : null;
+  }
+
+  /**
+   * 将已移除的元素放回复用池（需要开启 pooling）
+   * 占位元素、正在离开的元素和获得焦点的元素（重新渲染后需要恢复焦点）不复用
+   * @param {HTMLElement} element
+   */
+  _releaseItemElement(element) {
+    if (!this.options.pooling || element === this.focusedElement ||
+        element.hasAttribute('data-placeholder') || element.hasAttribute('data-leaving')) return;
+    const data = this.elementItems.get(element);
+    if (!data) return;
+
+    const type = this._getItemType(data.item);
+    let pool = this.elementPool.get(type);
+    if (!pool) {
+      pool = [];
+      this.elementPool.set(type, pool);
+    }
+    if (pool.length >= ELEMENT_POOL_SIZE) return;
+
+    // 清除上一个数据项留下的状态，复用时按新数据项重新设置
+    ['data-index', 'data-selected', 'aria-selected', 'tabindex', 'aria-setsize', 'aria-posinset']
+      .forEach(name => element.removeAttribute(name));
+    element.classList.remove('fsv-enter', 'fsv-leave');
+    pool.push(element);
+  }
+
+  /**
+   * 移除数据对应的元素，配置了离开动画时先播放动画
+   * 动画期间元素去掉 data-index 并标记为 data-leaving，作为普通的块留在原位（不计入渲染范围），
+   * 其高度变化由 _handleResize 补偿，动画结束后移除
+   * @param {HTMLElement} element
+   */
+  _leaveItemElement(element) {
+    // 网格模式下留在原位的元素会占据一个单元格，打乱后续元素的位置
+    if (!this.animation || !this.animation.leave || this.columns > 1 ||
+        element.hasAttribute('data-placeholder') || !element.isConnected) {
+      this._removeItemElement(element);
       return;
     }
 
-    // 测量内容高度（需要在下一帧测量以确保 DOM 已更新）
-    requestAnimationFrame(() => {
-      requestAnimationFrame(() => {
-        const containerHeight = this.container.clientHeight;
-        const contentHeight = this.contentContainer.offsetHeight;
+    const data = this.elementItems.get(element);
+    const index = parseInt(element.getAttribute('data-index'), 10);
+    this.leavingElements.set(element, this._getOffsetSize(element));
+    this._unobserveItem(element);
+    element.removeAttribute('data-index');
+    element.setAttribute('data-leaving', '');
+    if (this.ariaRole) {
+      ['role', 'tabindex', 'aria-setsize', 'aria-posinset'].forEach(name => element.removeAttribute(name));
+      element.setAttribute('aria-hidden', 'true');
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.observe(element);
+    }
 
-        if (contentHeight < containerHeight) {
-          // 内容不足一屏，使用 topSpacer 推到底部
-          const paddingHeight = containerHeight - contentHeight;
-          this.topSpacer.style.height = `${paddingHeight}px`;
-        } else {
-          // 内容足够，不需要占位
-          this.topSpacer.style.height = '0px';
-        }
-      });
+    this._runAnimation(element, 'leave', data ? data.item : undefined, index).then(() => {
+      if (!this.leavingElements.has(element)) return;
+      this.leavingElements.delete(element);
+      if (this.resizeObserver) {
+        this.resizeObserver.unobserve(element);
+      }
+
+      const anchor = this._captureAnchor();
+      element.remove();
+      this._restoreAnchor(anchor);
+      this._adjustBottomAlign();
+      this._checkScrollBoundary();
     });
   }
 
   /**
-   * 查找起始索引
-   * 采用渐进式渲染：批量渲染并测量真实高度，直到找到目标位置
+   * 新增数据的元素播放进入动画
+   * @param {HTMLElement} element
+   * @param {*} item
+   * @param {number} index
    */
-  findStartIndexByRendering(scrollTop) {
-    // 清空当前渲染，准备重新渲染
-    this.contentContainer.innerHTML = '';
+  _enterItemElement(element, item, index) {
+    if (!this.animation || !this.animation.enter || element.hasAttribute('data-placeholder')) return;
+    this._runAnimation(element, 'enter', item, index);
+  }
+
+  /**
+   * 对已渲染的新增数据播放进入动画
+   * @param {number} startIndex
+   * @param {number} endIndex
+   */
+  _enterRange(startIndex, endIndex) {
+    if (!this.animation || !this.animation.enter) return;
+    for (let i = Math.max(startIndex, this.renderedStartIndex); i < Math.min(endIndex, this.renderedEndIndex); i++) {
+      const element = this.contentContainer.querySelector(`[data-index="${i}"]`);
+      if (element) this._enterItemElement(element, this.items[i], i);
+    }
+  }
+
+  /**
+   * 播放进入/离开动画
+   * - 函数：调用后等待返回的 Animation（Web Animations API）或 Promise 结束
+   * - CSS 类名：添加 fsv-enter / fsv-leave，按计算样式中的动画和过渡时长等待，进入动画结束后移除类名
+   * @param {HTMLElement} element
+   * @param {string} phase - 'enter' 或 'leave'
+   * @param {*} item
+   * @param {number} index
+   * @returns {Promise} 动画结束（或被取消）时 resolve
+   */
+  _runAnimation(element, phase, item, index) {
+    const hook = this.animation[phase];
+    if (typeof hook === 'function') {
+      const result = hook(element, item, index);
+      const finished = result && result.finished ? result.finished : result;
+      // 动画被取消时 finished 会 reject，同样视为结束
+      return Promise.resolve(finished).catch(() => {});
+    }
+
+    const className = `fsv-${phase}`;
+    element.classList.add(className);
+    const duration = this._getAnimationDuration(element);
+    return new Promise(resolve => {
+      setTimeout(() => {
+        if (phase === 'enter') element.classList.remove(className);
+        resolve();
+      }, duration);
+    });
+  }
+
+  /**
+   * 根据计算样式获取元素上动画和过渡的最长时长（包含延迟）
+   * @param {HTMLElement} element
+   * @returns {number} 毫秒
+   */
+  _getAnimationDuration(element) {
+    const style = window.getComputedStyle(element);
+    const parse = value => (value || '').split(',').map(time => {
+      const seconds = parseFloat(time);
+      if (!seconds) return 0;
+      return time.trim().endsWith('ms') ? seconds : seconds * 1000;
+    });
+    const longest = (durations, delays) => durations.reduce(
+      (max, duration, i) => Math.max(max, duration + delays[i % delays.length]), 0
+    );
+    return Math.max(
+      longest(parse(style.animationDuration), parse(style.animationDelay)),
+      longest(parse(style.transitionDuration), parse(style.transitionDelay))
+    );
+  }
+
+  /**
+   * 更新已渲染元素的无障碍属性（aria-setsize、aria-posinset、roving tabindex）
+   * 焦点所在的元素被重新渲染（替换、回收后重新渲染）时，把焦点交给同一索引的新元素
+   */
+  _updateAccessibility() {
+    if (!this.ariaRole) return;
 
-    let currentTop = 0;
-    const batchSize = this.batchSize; // 每批渲染的元素数量
+    const { focusedElement } = this;
+    if (focusedElement && focusedElement.isConnected && focusedElement.hasAttribute('data-index')) {
+      this.activeIndex = parseInt(focusedElement.getAttribute('data-index'), 10);
+    }
 
-    for (let i = 0; i < this.items.length; i += batchSize) {
-      // 计算这一批的结束索引
-      const batchEnd = Math.min(i + batchSize, this.items.length);
+    // 焦点项已渲染时由它接收 Tab 焦点，否则由第一个已渲染的元素接收
+    const isActiveRendered = this.activeIndex >= this.renderedStartIndex && this.activeIndex < this.renderedEndIndex;
+    const total = String(this.items.length);
+    this.contentContainer.querySelectorAll('[data-index]').forEach((element, i) => {
+      const index = parseInt(element.getAttribute('data-index'), 10);
+      element.setAttribute('aria-setsize', total);
+      element.setAttribute('aria-posinset', String(index + 1));
+      const isActive = isActiveRendered ? index === this.activeIndex : i === 0;
+      element.setAttribute('tabindex', isActive ? '0' : '-1');
+    });
 
-      // 渲染这一批
-      for (let j = i; j < batchEnd; j++) {
-        const item = this.items[j];
-        if (item !== undefined) {
-          const element = this._createItemElement(item, j);
-          this.contentContainer.appendChild(element);
+    if (focusedElement && !focusedElement.isConnected && isActiveRendered) {
+      const active = document.activeElement;
+      if (!active || active === document.body) {
+        const element = this.contentContainer.querySelector(`[data-index="${this.activeIndex}"]`);
+        if (element) {
+          this.focusedElement = element;
+          element.focus({ preventScroll: true });
         }
       }
+    }
+  }
 
-      // 测量这一批中每个元素的高度，找到目标位置
-      for (let j = i; j < batchEnd; j++) {
-        const element = this.contentContainer.querySelector(`[data-index="${j}"]`);
-        if (element) {
-          const height = element.offsetHeight;
+  /**
+   * 列表项（或其内部元素）获得焦点时记录焦点位置
+   * @param {FocusEvent} event
+   */
+  _handleFocusIn(event) {
+    const element = event.target.closest('[data-index]');
+    if (!element || element.parentNode !== this.contentContainer) return;
+    this.focusedElement = element;
+    this.activeIndex = parseInt(element.getAttribute('data-index'), 10);
+    this._updateAccessibility();
+  }
 
-          if (currentTop + height > scrollTop) {
-            // 找到了目标位置，保留已渲染的内容
-            return j;
-          }
+  /**
+   * 焦点离开列表时不再保持焦点
+   * 焦点元素被移除时同样会失去焦点（relatedTarget 为 null），此时保留记录以便重新渲染后恢复
+   * @param {FocusEvent} event
+   */
+  _handleFocusOut(event) {
+    const { relatedTarget } = event;
+    if (relatedTarget && this.contentContainer.contains(relatedTarget)) return;
+
+    const element = this.focusedElement;
+    if (relatedTarget) {
+      this.focusedElement = null;
+      return;
+    }
+    // 等移除操作完成后再判断：元素仍在 DOM 中说明是用户让列表失去了焦点
+    setTimeout(() => {
+      if (this.focusedElement === element && element && element.isConnected &&
+          !this.contentContainer.contains(document.activeElement)) {
+        this.focusedElement = null;
+      }
+    }, 0);
+  }
+
+  /**
+   * 键盘导航：方向键、PageUp/PageDown、Home/End 在列表项之间移动焦点
+   * 只处理列表项本身获得焦点时的按键，列表项内部的输入框等不受影响
+   * @param {KeyboardEvent} event
+   */
+  _handleKeyDown(event) {
+    const element = event.target;
+    if (element.parentNode !== this.contentContainer || !element.hasAttribute('data-index')) return;
+
+    const index = parseInt(element.getAttribute('data-index'), 10);
+    if (this.options.selection && this._handleSelectionKey(event, index)) return;
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const { count } = this.getVisibleRange();
+    const page = Math.max(this.columns, count - this.columns);
+    // 水平模式下左右方向键沿滚动方向移动（RTL 时方向相反），网格模式下左右移动一个元素
+    const forwardKey = this.isRtl ? 'ArrowLeft' : 'ArrowRight';
+    const backwardKey = this.isRtl ? 'ArrowRight' : 'ArrowLeft';
+    const crossStep = this.isHorizontal ? null : this.columns;
+    const inlineStep = this.isHorizontal || this.columns > 1 ? 1 : null;
+
+    let step = null;
+    let target = null;
+    switch (event.key) {
+      case 'ArrowDown': step = crossStep; break;
+      case 'ArrowUp': step = crossStep === null ? null : -crossStep; break;
+      case forwardKey: step = inlineStep; break;
+      case backwardKey: step = inlineStep === null ? null : -inlineStep; break;
+      case 'PageDown': step = page; break;
+      case 'PageUp': step = -page; break;
+      case 'Home': target = 0; break;
+      case 'End': target = this.items.length - 1; break;
+      default: return;
+    }
+    if (step !== null) target = index + step;
+    if (target === null) return;
+
+    event.preventDefault();
+    target = Math.max(0, Math.min(target, this.items.length - 1));
+    // 多选模式下 Shift + 方向键从当前项开始扩展选择范围
+    if (event.shiftKey && this.options.selection === 'multiple') {
+      if (!this.selectionAnchor && this.items[index] !== undefined) {
+        this.selectionAnchor = { key: this._getSelectionKey(this.items[index]) };
+      }
+      this.select(target, { range: true });
+    }
+    this.focusItem(target);
+  }
+
+  /**
+   * 选择相关的按键：空格选择当前项（Ctrl/Cmd 切换，Shift 范围选择），多选模式下 Ctrl/Cmd + A 全选
+   * @param {KeyboardEvent} event
+   * @param {number} index - 获得焦点的列表项索引
+   * @returns {boolean} 是否已处理
+   */
+  _handleSelectionKey(event, index) {
+    const isModified = event.ctrlKey || event.metaKey;
+    if (event.key === ' ' && !event.altKey) {
+      event.preventDefault();
+      this.select(index, { toggle: isModified, range: event.shiftKey });
+      return true;
+    }
+    if ((event.key === 'a' || event.key === 'A') && isModified && !event.altKey &&
+        this.options.selection === 'multiple') {
+      event.preventDefault();
+      this.selectAll();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 点击列表项时选择：Ctrl/Cmd + 点击切换，Shift + 点击范围选择
+   * 列表项内部的点击处理函数调用 preventDefault() 后不会触发选择
+   * @param {MouseEvent} event
+   */
+  _handleSelectionClick(event) {
+    if (event.defaultPrevented) return;
+    const element = event.target.closest('[data-index]');
+    if (!element || element.parentNode !== this.contentContainer) return;
+    const index = parseInt(element.getAttribute('data-index'), 10);
+    this.select(index, { toggle: event.ctrlKey || event.metaKey, range: event.shiftKey });
+  }
+
+  /**
+   * 获取数据项用于记录选中状态的 key
+   * @param {*} item
+   * @returns {*}
+   */
+  _getSelectionKey(item) {
+    return this.options.getKey ? this.options.getKey(item) : item;
+  }
 
-          currentTop += height;
+  /**
+   * 数据项是否被选中
+   * @param {*} item
+   * @returns {boolean}
+   */
+  _isItemSelected(item) {
+    if (item === undefined || this.selectedKeys.size === 0) return false;
+    return this.selectedKeys.has(this._getSelectionKey(item));
+  }
+
+  /**
+   * 在列表项元素上标记选中状态（data-selected，listbox 语义下同时设置 aria-selected）
+   * @param {HTMLElement} element
+   * @param {boolean} selected
+   */
+  _applySelectedState(element, selected) {
+    if (!this.options.selection) return;
+    if (selected) {
+      element.setAttribute('data-selected', '');
+    } else {
+      element.removeAttribute('data-selected');
+    }
+    if (this.ariaRole === 'listbox') {
+      element.setAttribute('aria-selected', String(selected));
+    }
+  }
+
+  /**
+   * 数据项被替换时，选中状态跟随到新的数据项（key 不变时无需处理）
+   * @param {*} previous - 原来的数据项
+   * @param {*} item - 新的数据项
+   * @returns {boolean} 选中的 key 是否变化
+   */
+  _transferSelection(previous, item) {
+    if (!this._isItemSelected(previous)) return false;
+    const previousKey = this._getSelectionKey(previous);
+    const key = this._getSelectionKey(item);
+    if (previousKey === key) return false;
+    this.selectedKeys.delete(previousKey);
+    this.selectedKeys.add(key);
+    return true;
+  }
+
+  /**
+   * 移除已不在数据中的选中项
+   * @param {Array|null} removedItems - 被删除的数据项（为 null 时检查全部选中项）
+   * @returns {boolean} 选中项是否变化
+   */
+  _pruneSelection(removedItems) {
+    if (this.selectedKeys.size === 0) return false;
+    const candidates = removedItems
+      ? removedItems.filter(item => this._isItemSelected(item)).map(item => this._getSelectionKey(item))
+      : Array.from(this.selectedKeys);
+    if (candidates.length === 0) return false;
+
+    // 同一数据可能被移动到别处（先删除再插入），只移除确实已不存在的
+    const keys = new Set();
+    this.items.forEach(item => {
+      if (item !== undefined) keys.add(this._getSelectionKey(item));
+    });
+    let isChanged = false;
+    candidates.forEach(key => {
+      if (!keys.has(key) && this.selectedKeys.delete(key)) isChanged = true;
+    });
+    if (this.selectionAnchor && !keys.has(this.selectionAnchor.key)) {
+      this.selectionAnchor = null;
+    }
+    return isChanged;
+  }
+
+  /**
+   * 选中项变化后更新已渲染元素的选中状态，并通知 onSelectionChange
+   */
+  _commitSelection() {
+    if (this.renderedStartIndex !== -1) {
+      const anchor = this._captureAnchor();
+      let isChanged = false;
+      this.contentContainer.querySelectorAll('[data-index]').forEach(element => {
+        const data = this.elementItems.get(element);
+        if (!data || data.selected === this._isItemSelected(data.item)) return;
+        const index = parseInt(element.getAttribute('data-index'), 10);
+        let target = element;
+        if (!this._reuseItemElement(element, data.item, index)) {
+          target = this._createItemElement(data.item, index);
+          this._replaceItemElement(element, target);
         }
+        this._recordElementHeight(target, index);
+        isChanged = true;
+      });
+      if (isChanged) {
+        this._updateSpacers();
+        this._restoreAnchor(anchor);
+      }
+    }
+    this._emitSelectionChange();
+  }
+
+  /**
+   * 通知 onSelectionChange
+   */
+  _emitSelectionChange() {
+    if (this.options.onSelectionChange) {
+      this.options.onSelectionChange(this.getSelection());
+    }
+  }
+
+  /**
+   * 开始观察元素（尺寸变化、可见性变化）
+   * @param {HTMLElement} element
+   */
+  _observeItem(element) {
+    if (this.resizeObserver) {
+      this.resizeObserver.observe(element);
+    }
+    if (this.intersectionObserver) {
+      this.intersectionObserver.observe(element);
+    }
+  }
+
+  /**
+   * 停止观察元素；如果元素处于可见状态，触发离开事件
+   * @param {HTMLElement} element
+   */
+  _unobserveItem(element) {
+    if (this.resizeObserver) {
+      this.resizeObserver.unobserve(element);
+    }
+    if (this.intersectionObserver) {
+      this.intersectionObserver.unobserve(element);
+      this._cancelDwell(element);
+      this.tallElements.delete(element);
+
+      const visibility = this.visibleElements.get(element);
+      if (visibility) {
+        this.visibleElements.delete(element);
+        this._queueVisibility('hidden', {
+          index: parseInt(element.getAttribute('data-index'), 10),
+          item: visibility.item,
+        });
+      }
+    }
+  }
+
+  /**
+   * 创建单个元素
+   */
+  _createItemElement(item, index) {
+    if (this.pageCache && !this._isItemLoaded(index)) {
+      return this._createPlaceholderElement(index);
+    }
+
+    // 优先复用同一 key 的已渲染元素
+    if (this.reusableElements) {
+      const key = this.options.getKey(item);
+      const element = this.reusableElements.get(key);
+      if (element) {
+        this.reusableElements.delete(key);
+        if (this._reuseItemElement(element, item, index)) return element;
+      }
+    }
+
+    // 其次复用池中同类型的元素
+    const { pooling } = this.options;
+    const pooledElement = pooling ? this._takePooledElement(item) : null;
+    const recycledContent = pooledElement ? this.elementContents.get(pooledElement) : null;
+
+    const itemElement = pooledElement || document.createElement('div');
+    itemElement.setAttribute('data-index', index);
+    if (!pooledElement) {
+      if (this.ariaRole) {
+        itemElement.setAttribute('role', this.ariaItemRole);
       }
+      if (this.isHorizontal) {
+        itemElement.style.flex = '0 0 auto';
+      }
+    }
 
-      // 如果当前累计高度已经超过目标位置，返回当前批次的起始位置
-      if (currentTop > scrollTop) {
-        return i;
+    // 调用用户提供的渲染函数
+    const selected = this._isItemSelected(item);
+    const renderStart = performance.now();
+    const content = this.render(item, index, this.items.length, { selected, recycled: recycledContent });
+
+    // render 原地修改并返回了复用的元素时保留现有内容，否则替换
+    if (!content || content !== recycledContent) {
+      if (pooledElement) {
+        itemElement.textContent = '';
+      }
+      if (typeof content === 'string') {
+        itemElement.innerHTML = content;
+      } else if (content instanceof HTMLElement) {
+        itemElement.appendChild(content);
+      } else if (content && content.nodeType) {
+        itemElement.appendChild(content);
       }
     }
+    if (pooling) {
+      this.elementContents.set(itemElement, content && content.nodeType ? content : null);
+    }
+    this.stats.renders++;
+    this.stats.renderTime += performance.now() - renderStart;
+
+    // 每组的第一个元素在内容前插入分组标题
+    this._applyGroupHeader(itemElement, index);
+    this._applySelectedState(itemElement, selected);
 
-    return Math.max(0, this.items.length - 1);
+    this.elementItems.set(itemElement, {
+      key: this.options.getKey ? this.options.getKey(item) : undefined,
+      item,
+      selected,
+    });
+    this._observeItem(itemElement);
+
+    return itemElement;
   }
 
+  /**
+   * 复用已渲染的元素显示新的数据，元素内的焦点、选区、输入状态等得以保留
+   * - 提供 getKey 时，key 不同视为不同的数据，不能复用
+   * - 数据、索引或选中状态变化时调用 update 原地更新；未提供 update 时只能复用数据和选中状态都未变化的元素
+   * @param {HTMLElement} element - 已渲染的元素
+   * @param {*} item - 新的数据
+   * @param {number} index - 新的索引
+   * @param {boolean} force - 即使数据未变化也调用 update（数据可能被原地修改，例如 refresh）
+   * @returns {boolean} 是否已复用（false 时调用方应重新创建元素）
+   */
+  _reuseItemElement(element, item, index, force = false) {
+    const data = this.elementItems.get(element);
+    if (!data) return false;
+
+    const { getKey, update } = this.options;
+    const key = getKey ? getKey(item) : undefined;
+    if (key !== data.key) return false;
+
+    const previousIndex = parseInt(element.getAttribute('data-index'), 10);
+    const selected = this._isItemSelected(item);
+    const isChanged = force || data.item !== item || data.selected !== selected;
+    if (update) {
+      if (isChanged || previousIndex !== index) {
+        update(element, item, index, { selected });
+      }
+    } else if (isChanged) {
+      return false;
+    }
+
+    element.setAttribute('data-index', index);
+    this._applySelectedState(element, selected);
+    this.elementItems.set(element, { key, item, selected });
+    const visibility = this.visibleElements.get(element);
+    if (visibility) {
+      visibility.index = index;
+      visibility.item = item;
+    }
+    // update 可能重写了元素内容，重新检查分组标题
+    this._applyGroupHeader(element, index);
+    return true;
+  }
 
   /**
-   * 渲染指定范围内的元素
-   * @param {number} startIndex
-   * @param {number} endIndex
-   * @returns {DocumentFragment} 渲染后的文档片段
+   * 按组首状态增删元素内的分组标题（标题总是元素的第一个子元素）
+   * @param {HTMLElement} element
+   * @param {number} index
    */
-  _renderItems(startIndex, endIndex) {
-    const fragment = document.createDocumentFragment();
-    for (let i = startIndex; i < endIndex; i++) {
-      const item = this.items[i];
-      if (!item) continue;
-      const itemElement = this._createItemElement(item, i);
-      fragment.appendChild(itemElement);
+  _applyGroupHeader(element, index) {
+    const first = element.firstElementChild;
+    const header = first && first.hasAttribute('data-group-header') ? first : null;
+
+    if (this._isGroupStart(index)) {
+      const newHeader = this._createGroupHeader(index);
+      if (header) {
+        header.replaceWith(newHeader);
+      } else {
+        element.insertBefore(newHeader, element.firstChild);
+      }
+      element.setAttribute('data-group-start', '');
+    } else {
+      if (header) header.remove();
+      element.removeAttribute('data-group-start');
     }
-    return fragment;
   }
 
   /**
-   * 创建单个元素
+   * 获取元素所属的分组
+   * @param {number} index
+   * @returns {*}
+   */
+  _getGroupKey(index) {
+    const { getGroupKey } = this.options;
+    return getGroupKey ? getGroupKey(this.items[index], index) : undefined;
+  }
+
+  /**
+   * 元素是否是所在分组的第一个元素
+   * @param {number} index
+   * @returns {boolean}
+   */
+  _isGroupStart(index) {
+    if (!this.isGrouped || index < 0 || index >= this.items.length) return false;
+    return index === 0 || this._getGroupKey(index) !== this._getGroupKey(index - 1);
+  }
+
+  /**
+   * 创建元素所在分组的标题
+   * @param {number} index - 分组内任意元素的索引
+   * @returns {HTMLElement}
+   */
+  _createGroupHeader(index) {
+    const key = this._getGroupKey(index);
+    const header = document.createElement('div');
+    header.className = 'fast-scrollview-group-header';
+    header.setAttribute('data-group-header', '');
+
+    const { groupHeader } = this.options;
+    const content = groupHeader ? groupHeader(key, this.items[index], index) : null;
+    if (typeof content === 'string') {
+      header.innerHTML = content;
+    } else if (content && content.nodeType) {
+      header.appendChild(content);
+    } else if (!groupHeader) {
+      // 未提供 groupHeader 时直接显示分组名
+      header.textContent = String(key);
+    }
+    return header;
+  }
+
+  /**
+   * 数据变化后，重新渲染分组标题状态发生变化的元素（例如插入后原来的第一个元素不再是组首）
+   * 调用方负责之后更新占位符和恢复锚点
+   * @param {Array<number>} indices - 可能受影响的索引
+   */
+  _syncGroupHeaders(indices) {
+    if (!this.isGrouped) return;
+    indices.forEach(index => {
+      if (index < this.renderedStartIndex || index >= this.renderedEndIndex) return;
+      const element = this.contentContainer.querySelector(`[data-index="${index}"]`);
+      if (!element || element.hasAttribute('data-placeholder')) return;
+      if (element.hasAttribute('data-group-start') === this._isGroupStart(index)) return;
+
+      // 只增删标题，元素内容保持不变
+      this._applyGroupHeader(element, index);
+      this._measureHeight(index, index + 1, [element]);
+    });
+  }
+
+  /**
+   * 根据视口中第一个可见元素更新吸顶标题
+   * 即使所在分组的第一个元素没有渲染（例如跳转后），也能显示正确的标题；下一组的标题到达时将其向上推出
+   */
+  _updateStickyHeader() {
+    if (!this.stickyHeader) return;
+
+    const { start } = this.getVisibleRange();
+    if (start === -1) {
+      this.stickyKey = undefined;
+      this.stickyHeader.innerHTML = '';
+      return;
+    }
+
+    const key = this._getGroupKey(start);
+    if (this.stickyHeader.firstChild === null || key !== this.stickyKey) {
+      this.stickyKey = key;
+      const header = this._createGroupHeader(start);
+      header.style.position = 'absolute';
+      header.style.left = '0';
+      header.style.right = '0';
+      header.style.top = '0';
+      this.stickyHeader.innerHTML = '';
+      this.stickyHeader.appendChild(header);
+    }
+
+    // 查找视口中下一组的第一个元素，与吸顶标题重叠时将标题向上推
+    const header = this.stickyHeader.firstChild;
+    const headerHeight = header.offsetHeight;
+    const scrollTop = this._getScrollPosition();
+    let shift = 0;
+    let element = this.contentContainer.querySelector(`[data-index="${start}"]`);
+    while (element) {
+      const top = this._getOffsetStart(element);
+      if (top >= scrollTop + headerHeight) break;
+      if (top > scrollTop && element.hasAttribute('data-group-start') && !element.hasAttribute('data-leaving')) {
+        shift = top - scrollTop - headerHeight;
+        break;
+      }
+      element = element.nextElementSibling;
+    }
+    header.style.transform = shift < 0 ? `translateY(${shift}px)` : '';
+  }
+
+  /**
+   * 创建未加载数据的占位元素
+   * 占位元素使用缓存中的高度（已测量过的用实际高度），不参与尺寸和可见性观察
+   * @param {number} index
+   * @returns {HTMLElement}
+   */
+  _createPlaceholderElement(index) {
+    const element = document.createElement('div');
+    element.setAttribute('data-index', index);
+    element.setAttribute('data-placeholder', '');
+    element.className = 'fast-scrollview-placeholder';
+    if (this.ariaRole) {
+      element.setAttribute('role', this.ariaItemRole);
+      element.setAttribute('aria-busy', 'true');
+    }
+    this._setElementSize(element, this._getRowHeight(index));
+    element.style.overflow = 'hidden';
+    if (this.isHorizontal) {
+      element.style.flex = '0 0 auto';
+    }
+
+    const { placeholder } = this.options;
+    if (typeof placeholder === 'function') {
+      const content = placeholder(index);
+      if (typeof content === 'string') {
+        element.innerHTML = content;
+      } else if (content && content.nodeType) {
+        element.appendChild(content);
+      }
+    } else if (typeof placeholder === 'string') {
+      element.innerHTML = placeholder;
+    } else if (placeholder instanceof HTMLElement) {
+      element.appendChild(placeholder.cloneNode(true));
+    }
+
+    // 渲染结束后统一请求缺失的页
+    this._schedulePageLoad();
+    return element;
+  }
+
+  /**
+   * 数据源模式下指定索引的数据是否已加载
+   * @param {number} index
+   * @returns {boolean}
+   */
+  _isItemLoaded(index) {
+    return this.pageCache.has(this.pageCache.getPage(index));
+  }
+
+  /**
+   * 在下一帧加载已渲染范围内缺失的页（同一帧内多次调用只加载一次）
+   */
+  _schedulePageLoad() {
+    if (this.loadPagesRaf) return;
+    this.loadPagesRaf = requestAnimationFrame(() => {
+      this.loadPagesRaf = null;
+      this._loadRenderedPages();
+    });
+  }
+
+  /**
+   * 加载已渲染范围内缺失的页，并将已加载的页标记为最近使用
+   */
+  _loadRenderedPages() {
+    if (!this.pageCache || this.renderedStartIndex === -1) return;
+
+    const firstPage = this.pageCache.getPage(this.renderedStartIndex);
+    const lastPage = this.pageCache.getPage(this.renderedEndIndex - 1);
+    for (let page = firstPage; page <= lastPage; page++) {
+      if (this.pageCache.has(page)) {
+        this.pageCache.touch(page);
+      } else if (!this.pageCache.getRequest(page)) {
+        this._loadPage(page);
+      }
+    }
+  }
+
+  /**
+   * 调用 loadRange 加载一页数据，完成后替换已渲染的占位元素
+   * @param {number} page
+   * @returns {Promise<void>}
+   */
+  _loadPage(page) {
+    const [start, end] = this.pageCache.getRange(page, this.items.length);
+    if (start >= end) return Promise.resolve();
+
+    // 请求记录被清除或替换（setTotalCount、destroy）时丢弃结果
+    const isStale = () => this.isDestroyed || this.pageCache.getRequest(page) !== promise;
+
+    const promise = Promise.resolve()
+      .then(() => this.loadRange(start, end))
+      .then(items => {
+        if (isStale()) return;
+        this.pageCache.deleteRequest(page);
+
+        const loadedEnd = Math.min(end, this.items.length);
+        for (let i = start; i < loadedEnd; i++) {
+          this.items[i] = items ? items[i - start] : undefined;
+        }
+        this.pageCache.add(page);
+        this._evictPages();
+        this._fillPlaceholders(start, loadedEnd);
+      }, error => {
+        if (isStale()) return;
+        // 不标记为已加载，下次滚动时会重新请求
+        this.pageCache.deleteRequest(page);
+        if (this.options.onLoadRangeError) {
+          this.options.onLoadRangeError(error, start, end);
+        }
+      });
+
+    this.pageCache.setRequest(page, promise);
+    return promise;
+  }
+
+  /**
+   * 淘汰超出缓存上限的页，释放对应的数据（已渲染范围内的页不会被淘汰）
+   */
+  _evictPages() {
+    const hasRendered = this.renderedStartIndex !== -1;
+    const firstPage = hasRendered ? this.pageCache.getPage(this.renderedStartIndex) : -1;
+    const lastPage = hasRendered ? this.pageCache.getPage(this.renderedEndIndex - 1) : -1;
+
+    const evicted = this.pageCache.evict(page => page >= firstPage && page <= lastPage);
+    evicted.forEach(page => {
+      const [start, end] = this.pageCache.getRange(page, this.items.length);
+      for (let i = start; i < end; i++) {
+        this.items[i] = undefined;
+      }
+    });
+  }
+
+  /**
+   * 用已加载的数据替换范围内的占位元素，并保持视口中的内容不动
+   * @param {number} start
+   * @param {number} end
    */
-  _createItemElement(item, index) {
-    const itemElement = document.createElement('div');
-    itemElement.setAttribute('data-index', index);
-
-    // 调用用户提供的渲染函数
-    const content = this.render(item, index, this.items.length);
+  _fillPlaceholders(start, end) {
+    if (this.renderedStartIndex === -1) return;
+    const from = Math.max(start, this.renderedStartIndex);
+    const to = Math.min(end, this.renderedEndIndex);
+    if (from >= to) return;
 
-    if (typeof content === 'string') {
-      itemElement.innerHTML = content;
-    } else if (content instanceof HTMLElement) {
-      itemElement.appendChild(content);
-    } else if (content && content.nodeType) {
-      itemElement.appendChild(content);
+    const anchor = this._captureAnchor();
+    for (let i = from; i < to; i++) {
+      const element = this.contentContainer.querySelector(`[data-index="${i}"]`);
+      if (element && element.hasAttribute('data-placeholder')) {
+        this._replaceItemElement(element, this._createItemElement(this.items[i], i));
+      }
     }
-
-    return itemElement;
+    this._measureHeight(from, to);
+    this._updateSpacers();
+    this._restoreAnchor(anchor);
+    this._adjustBottomAlign();
   }
 
   /**
@@ -533,17 +2965,207 @@ class FastScrollView {
     });
   }
 
+  /**
+   * 按 key 对比新旧数据，原地更新已渲染的元素（setItems 使用）
+   * 以锚点元素的数据在新数据中的位置为准，渲染与之前同样大小的范围：
+   * 同一 key 的元素被复用，其余元素重新创建或移除，已在正确位置的元素不会被移动
+   * @param {Object} anchor - 替换数据前记录的锚点
+   * @returns {boolean} 是否完成（锚点的数据不在新数据中时返回 false，由调用方重新渲染）
+   */
+  _reconcileKeyed(anchor) {
+    if (this.pageCache || this.renderedStartIndex === -1) return false;
+    const anchorData = this.elementItems.get(anchor.element);
+    if (!anchorData) return false;
+
+    const { getKey } = this.options;
+    const anchorIndex = this.items.findIndex(item => item !== undefined && getKey(item) === anchorData.key);
+    if (anchorIndex === -1) return false;
+
+    // 保持锚点之前的元素数量和渲染总数不变
+    const count = this.renderedEndIndex - this.renderedStartIndex;
+    const start = this._getRowStart(Math.max(0, anchorIndex - (anchor.index - this.renderedStartIndex)));
+    const end = Math.min(this.items.length, this._getRowStart(start + count + this.columns - 1));
+
+    this.reusableElements = new Map();
+    Array.from(this.contentContainer.children).forEach(element => {
+      const data = this.elementItems.get(element);
+      if (data && !element.hasAttribute('data-leaving')) this.reusableElements.set(data.key, element);
+    });
+
+    const elements = [];
+    for (let i = start; i < end; i++) {
+      if (!(i in this.items)) continue;
+      const item = this.items[i];
+      elements.push(this._createItemElement(item, i));
+    }
+    this.reusableElements = null;
+
+    // 移除未被复用的元素，再按顺序插入新元素
+    const used = new Set(elements);
+    Array.from(this.contentContainer.children).forEach(element => {
+      if (!used.has(element) && !element.hasAttribute('data-leaving')) this._removeItemElement(element);
+    });
+    this._arrangeElements(elements);
+
+    this.renderedStartIndex = start;
+    this.renderedEndIndex = end;
+    this._measureHeight(start, end, elements);
+
+    // 锚点元素未能复用时按新索引恢复位置
+    anchor.index = anchorIndex;
+    return true;
+  }
+
+  /**
+   * 按顺序排列已渲染的元素，已在正确位置的元素保持不动（移动元素会使其失去焦点）
+   * 调用前不在 elements 中的元素应已移除（正在离开的元素保留在原位）
+   * @param {Array<HTMLElement>} elements - 渲染范围内的全部元素（按索引排序）
+   */
+  _arrangeElements(elements) {
+    let cursor = this.contentContainer.firstElementChild;
+    elements.forEach(element => {
+      while (cursor && cursor !== element && cursor.hasAttribute('data-leaving')) {
+        cursor = cursor.nextElementSibling;
+      }
+      if (element === cursor) {
+        cursor = cursor.nextElementSibling;
+      } else {
+        this.contentContainer.insertBefore(element, cursor);
+      }
+    });
+  }
+
+  /**
+   * 计算从旧数据到新数据的修改列表（setItems 的 diff 模式使用）
+   * 按 getKey（未提供时按数据项本身）匹配：新数据中不存在的删除，新增的插入，
+   * 同一 key 但数据项不同的更新；保持相对顺序的最长一组数据不动，其余顺序变化的数据先删除再插入
+   * @param {Array} oldItems
+   * @param {Array} newItems
+   * @returns {Array<Object>} applyChanges 的参数
+   */
+  _diffItems(oldItems, newItems) {
+    const keyOf = this.options.getKey || (item => item);
+    const oldIndexByKey = new Map();
+    oldItems.forEach((item, i) => {
+      const key = keyOf(item);
+      if (!oldIndexByKey.has(key)) oldIndexByKey.set(key, i);
+    });
+
+    // 新数据中每一项对应的旧索引（-1 表示新增；重复的 key 只匹配一次）
+    const sources = newItems.map(item => {
+      const key = keyOf(item);
+      if (!oldIndexByKey.has(key)) return -1;
+      const from = oldIndexByKey.get(key);
+      oldIndexByKey.delete(key);
+      return from;
+    });
+    const stable = this._getStablePositions(sources);
+    const kept = new Array(oldItems.length).fill(false);
+    stable.forEach(i => {
+      kept[sources[i]] = true;
+    });
+
+    const changes = [];
+    // 从后往前删除（包括需要移动的数据），前面的索引不受影响
+    for (let i = oldItems.length - 1; i >= 0; i--) {
+      if (!kept[i]) changes.push({ type: 'remove', index: i });
+    }
+    // 从前往后插入，插入位置之前的数据均已就位
+    newItems.forEach((item, i) => {
+      if (!stable.has(i)) {
+        changes.push({ type: 'insert', index: i, item });
+      } else if (oldItems[sources[i]] !== item) {
+        changes.push({ type: 'update', index: i, item });
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * 找出不需要移动的数据：旧索引的最长递增子序列（O(n log n)）
+   * @param {Array<number>} sources - 新数据中每一项对应的旧索引，-1 表示新增
+   * @returns {Set<number>} 不需要移动的数据在新数据中的位置
+   */
+  _getStablePositions(sources) {
+    // tails[k] 为长度 k + 1 的递增子序列中末尾旧索引最小的位置，previous 用于回溯
+    const tails = [];
+    const previous = new Array(sources.length).fill(-1);
+    sources.forEach((source, i) => {
+      if (source === -1) return;
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sources[tails[mid]] < source) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      if (low > 0) previous[i] = tails[low - 1];
+      tails[low] = i;
+    });
+
+    const stable = new Set();
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+      stable.add(i);
+    }
+    return stable;
+  }
+
   /**
    * 设置新的数据数组
    * @param {Array} items - 新的数据数组
+   * @param {Object} options
+   * @param {boolean} options.diff - 对比新旧数据，只应用差异部分（通过 applyChanges）
    */
-  setItems(items) {
+  setItems(items, options = {}) {
+    if (options.diff && !this.pageCache && this.renderedStartIndex !== -1) {
+      this.applyChanges(this._diffItems(this.items, items ? [...items] : []));
+      return;
+    }
+
+    // 顶部对齐时保持阅读位置（底部对齐时总是从底部开始显示）
+    const anchor = this.options.align === 'bottom' ? null : this._captureAnchor();
+
     this.items = items ? [...items] : [];
+    this.heightCache.reset(this.items.length);
+    // 数据源模式下未加载数据的 key 未知，保留所有选中项
+    const isSelectionChanged = !this.pageCache && this._pruneSelection(null);
+    if (this.stickyHeader) {
+      // 数据整体替换，吸顶标题需要重新渲染
+      this.stickyHeader.innerHTML = '';
+    }
+
+    // 数据已整体替换，丢弃进行中的远程请求
+    this.loadGeneration++;
+    ['start', 'end'].forEach(direction => {
+      this.remoteLoads[direction] = null;
+      this.loadErrors[direction] = null;
+      this._setLoaderState(direction, null);
+    });
+
+    // 提供 getKey 时按 key 复用已渲染的元素，锚点元素所在的数据移动后依然保持在视口中
+    if (anchor && this.options.getKey && this._reconcileKeyed(anchor)) {
+      this._updateSpacers();
+      this._restoreAnchor(anchor);
+      this.lastScrollTop = this._getScrollPosition();
+      this._checkScrollBoundary();
+      if (isSelectionChanged) this._emitSelectionChange();
+      return;
+    }
+
     this.renderedStartIndex = -1;
     this.renderedEndIndex = -1;
-    this.contentContainer.innerHTML = '';
-    this._updateVisibleItems();
+    this._clearContent();
+
+    if (anchor && this.items.length > 0) {
+      this._renderFromIndex(Math.min(anchor.index, this.items.length - 1), anchor.offset);
+    } else {
+      this._updateVisibleItems();
+    }
     this._adjustBottomAlign();
+    if (isSelectionChanged) this._emitSelectionChange();
   }
 
   /**
@@ -552,18 +3174,34 @@ class FastScrollView {
    * @param {*} item - 新的数据项
    */
   setItem(index, item) {
+    if (this.pendingChanges) {
+      this.pendingChanges.push({ type: 'update', index, item });
+      return;
+    }
     if (index < 0 || index >= this.items.length) return;
+    const isSelectionChanged = this._transferSelection(this.items[index], item);
     this.items[index] = item;
 
-    // 如果 item 不在渲染范围内，无需渲染
-    if (index < this.renderedStartIndex || index >= this.renderedEndIndex) return;
+    // 数据变化后高度可能变化，缓存失效；高度变化时保持阅读位置
+    const anchor = this.renderedStartIndex !== -1 ? this._captureAnchor() : null;
+    this.heightCache.delete(index);
 
-    // 替换元素
-    const element = this.contentContainer.querySelector(`[data-index="${index}"]`);
+    // 更新元素（能原地更新时不重新创建）并重新测量（不在渲染范围内时无需渲染，只更新占位符）
+    const isRendered = index >= this.renderedStartIndex && index < this.renderedEndIndex;
+    const element = isRendered ? this.contentContainer.querySelector(`[data-index="${index}"]`) : null;
     if (element) {
-      const newElement = this._createItemElement(item, index);
-      element.replaceWith(newElement);
+      if (!this._reuseItemElement(element, item, index, true)) {
+        this._replaceItemElement(element, this._createItemElement(item, index));
+      }
+      this._measureHeight(index, index + 1);
     }
+    if (anchor) {
+      // 分组变化时下一个元素的组首状态也可能变化
+      this._syncGroupHeaders([index + 1]);
+      this._updateSpacers();
+      this._restoreAnchor(anchor);
+    }
+    if (isSelectionChanged) this._emitSelectionChange();
   }
 
   /**
@@ -572,18 +3210,55 @@ class FastScrollView {
    * @param {*} item - 要插入的数据项
    */
   insert(index, item) {
-    if (!item) return;
+    this._assertNotDataSource('insert');
+    if (item === undefined) return;
+    if (this.pendingChanges) {
+      this.pendingChanges.push({ type: 'insert', index, item });
+      return;
+    }
     const insertIndex = Math.max(0, Math.min(index, this.items.length));
-    this.items.splice(insertIndex, 0, item);
 
-    // 如果有渲染内容，清空并标记需要重新渲染
-    if (this.renderedStartIndex !== -1) {
-      this.renderedStartIndex = -1;
-      this.renderedEndIndex = -1;
-      this.contentContainer.innerHTML = '';
+    // 如果还没有渲染内容，触发首次渲染
+    if (this.renderedStartIndex === -1) {
+      this.items.splice(insertIndex, 0, item);
+      this.heightCache.splice(insertIndex, 0, 1);
+      this._updateVisibleItems();
+      return;
     }
 
-    this._updateVisibleItems();
+    const anchor = this._captureAnchor();
+    const nextElement = this.contentContainer.querySelector(`[data-index="${insertIndex}"]`);
+
+    this.items.splice(insertIndex, 0, item);
+    this.heightCache.splice(insertIndex, 0, 1);
+    this._shiftAnchor(anchor, insertIndex, 0, 1);
+
+    if (insertIndex < this.renderedStartIndex) {
+      // 插入位置在已渲染范围之前：只需平移索引
+      this.renderedStartIndex++;
+      this.renderedEndIndex++;
+      this._updateRenderedIndices();
+    } else if (insertIndex <= this.renderedEndIndex) {
+      // 插入位置在已渲染范围内（或紧邻其后）：直接插入 DOM
+      const element = this._createItemElement(item, insertIndex);
+      if (nextElement) {
+        this.contentContainer.insertBefore(element, nextElement);
+      } else {
+        this.contentContainer.appendChild(element);
+      }
+      this.renderedEndIndex++;
+      this._updateRenderedIndices();
+      this._measureHeight(insertIndex, insertIndex + 1, [element]);
+      this._enterItemElement(element, item, insertIndex);
+    }
+    // 插入位置在已渲染范围之后：只需扩展底部占位符
+
+    // 原来位于插入位置的元素可能不再是组首
+    this._syncGroupHeaders([insertIndex + 1]);
+    this._realignRows();
+    this._updateSpacers();
+    this._restoreAnchor(anchor);
+    this._adjustBottomAlign();
   }
 
   /**
@@ -591,25 +3266,36 @@ class FastScrollView {
    * @param {Array} items - 要添加的数据项数组
    */
   append(items) {
+    this._assertNotDataSource('append');
     if (!items) return;
     if (!Array.isArray(items)) return this.append([items]);
     if (items.length === 0) return;
+    if (this.pendingChanges) {
+      items.forEach(item => this.pendingChanges.push({ type: 'insert', index: Infinity, item }));
+      return;
+    }
 
     const oldLength = this.items.length;
     this.items.push(...items);
+    this.heightCache.splice(oldLength, 0, items.length);
 
     // 如果已经有渲染内容，直接扩展渲染
     if (this.renderedStartIndex !== -1 && this.renderedEndIndex === oldLength) {
       // 如果当前渲染到了最底部，直接扩展渲染新增的内容
-      const containerHeight = this.container.clientHeight;
+      const containerHeight = this._getViewportSize();
       const targetHeight = containerHeight * this.options.bufferThreshold;
       this._expandDown(targetHeight);
+      this._enterRange(oldLength, this.renderedEndIndex);
       this._adjustBottomAlign();
     } else if (this.renderedStartIndex === -1) {
       // 如果还没有渲染内容，触发首次渲染
       this._updateVisibleItems();
+    } else {
+      // 如果已经有渲染内容但不在底部，不需要立即渲染新增的内容，只需扩展底部占位符
+      const anchor = this._captureAnchor();
+      this._updateSpacers();
+      this._restoreAnchor(anchor);
     }
-    // 如果已经有渲染内容但不在底部，不需要立即渲染新增的内容
   }
 
   /**
@@ -617,9 +3303,14 @@ class FastScrollView {
    * @param {Array} items - 要添加的数据项数组
    */
   prepend(items) {
+    this._assertNotDataSource('prepend');
     if (!items) return;
     if (!Array.isArray(items)) return this.prepend([items]);
     if (items.length === 0) return;
+    if (this.pendingChanges) {
+      items.forEach((item, i) => this.pendingChanges.push({ type: 'insert', index: i, item }));
+      return;
+    }
 
     const itemsToAdd = items.length;
 
@@ -627,15 +3318,12 @@ class FastScrollView {
     for (let i = items.length - 1; i >= 0; i--) {
       this.items.unshift(items[i]);
     }
+    this.heightCache.splice(0, 0, itemsToAdd);
 
     // 如果已经有渲染内容，直接扩展渲染
     if (this.renderedStartIndex !== -1) {
       // 如果当前渲染从顶部开始（index = 0），需要扩展渲染新增的内容
       if (this.renderedStartIndex === 0) {
-        // 保存当前滚动位置
-        const oldScrollHeight = this.container.scrollHeight;
-        const oldScrollTop = this.container.scrollTop;
-
         // 将当前已渲染的索引往后移动
         this.renderedStartIndex += itemsToAdd;
         this.renderedEndIndex += itemsToAdd;
@@ -646,22 +3334,33 @@ class FastScrollView {
         // 重置索引准备向上扩展
         this.renderedStartIndex = itemsToAdd;
 
-        // 向上扩展渲染新增的内容
-        const containerHeight = this.container.clientHeight;
+        // 向上扩展渲染新增的内容（会自动补偿新增内容的高度）
+        const containerHeight = this._getViewportSize();
         const targetHeight = containerHeight * this.options.bufferThreshold;
         this._expandUp(targetHeight);
-
-        // 恢复滚动位置（补偿新增内容的高度）
-        requestAnimationFrame(() => {
-          const newScrollHeight = this.container.scrollHeight;
-          const heightDiff = newScrollHeight - oldScrollHeight;
-          this.container.scrollTop = oldScrollTop + heightDiff;
-        });
+        this._enterRange(this.renderedStartIndex, itemsToAdd);
+
+        if (this.isGrouped || this.columns > 1) {
+          const anchor = this._captureAnchor();
+          // 原来的第一个元素可能不再是组首
+          this._syncGroupHeaders([itemsToAdd]);
+          // 网格模式下原有元素所在的行已变化，重新测量
+          if (this.columns > 1) {
+            this._measureRows(this.renderedStartIndex, this.renderedEndIndex);
+          }
+          this._updateSpacers();
+          this._restoreAnchor(anchor);
+        }
       } else {
-        // 如果不是从顶部开始，只需调整索引
+        // 如果不是从顶部开始，只需调整索引，顶部占位符会包含新数据的高度
+        const anchor = this._captureAnchor();
         this.renderedStartIndex += itemsToAdd;
         this.renderedEndIndex += itemsToAdd;
         this._updateRenderedIndices();
+        this._syncGroupHeaders([itemsToAdd]);
+        this._realignRows();
+        this._updateSpacers();
+        this._restoreAnchor(anchor);
       }
     } else {
       // 如果还没有渲染内容，触发首次渲染
@@ -672,97 +3371,559 @@ class FastScrollView {
   }
 
   /**
-   * 删除数据项
-   * @param {*|number} itemOrIndex - 数据项或索引
+   * 删除数据项
+   * @param {*|number} itemOrIndex - 数据项或索引
+   */
+  remove(itemOrIndex) {
+    this._assertNotDataSource('remove');
+    if (this.pendingChanges) {
+      this.pendingChanges.push(typeof itemOrIndex === 'number'
+        ? { type: 'remove', index: itemOrIndex }
+        : { type: 'remove', item: itemOrIndex });
+      return;
+    }
+
+    let index;
+
+    if (typeof itemOrIndex === 'number') {
+      index = itemOrIndex;
+    } else {
+      index = this.items.indexOf(itemOrIndex);
+    }
+
+    if (index < 0 || index >= this.items.length) return;
+
+    // 判断是否在已渲染范围内
+    const isInRenderedRange = this.renderedStartIndex !== -1 &&
+                              index >= this.renderedStartIndex &&
+                              index < this.renderedEndIndex;
+
+    // 记录阅读位置
+    const anchor = this._captureAnchor();
+
+    // 删除数据
+    const [removedItem] = this.items.splice(index, 1);
+    this.heightCache.splice(index, 1, 0);
+    this._shiftAnchor(anchor, index, 1, 0);
+    const isSelectionChanged = this._pruneSelection([removedItem]);
+
+    // 情况1：不在渲染范围内，只需调整索引
+    if (!isInRenderedRange) {
+      if (this.renderedStartIndex === -1) {
+        if (isSelectionChanged) this._emitSelectionChange();
+        return;
+      }
+
+      // 如果删除的位置在已渲染范围之前，需要调整索引
+      if (index < this.renderedStartIndex) {
+        this.renderedStartIndex--;
+        this.renderedEndIndex--;
+        // 更新所有已渲染元素的 data-index
+        this._updateRenderedIndices();
+      }
+
+      // 更新占位符，并补偿顶部占位符变化引起的位移
+      this._syncGroupHeaders([index]);
+      this._realignRows();
+      this._updateSpacers();
+      this._restoreAnchor(anchor);
+      if (isSelectionChanged) this._emitSelectionChange();
+      return;
+    }
+
+    // 情况2：在可视范围内，移除 DOM 元素并补充
+    const elementToRemove = this.contentContainer.querySelector(`[data-index="${index}"]`);
+    if (elementToRemove) {
+      this._leaveItemElement(elementToRemove);
+    }
+
+    // 调整渲染范围
+    this.renderedEndIndex--;
+
+    // 更新后续元素的索引
+    this._updateRenderedIndices();
+
+    // 尝试补充元素：优先向下，其次向上
+    let isSuccess = false;
+
+    // 优先向下补充
+    if (this.renderedEndIndex < this.items.length) {
+      const item = this.items[this.renderedEndIndex];
+      if (item !== undefined) {
+        const element = this._createItemElement(item, this.renderedEndIndex);
+        this.contentContainer.appendChild(element);
+        this.renderedEndIndex++;
+        isSuccess = true;
+      }
+    }
+
+    // 如果向下没有元素，尝试向上补充
+    if (!isSuccess && this.renderedStartIndex > 0) {
+      this.renderedStartIndex--;
+      const item = this.items[this.renderedStartIndex];
+      if (item !== undefined) {
+        const element = this._createItemElement(item, this.renderedStartIndex);
+        this.contentContainer.insertBefore(element, this.contentContainer.firstChild);
+      }
+    }
+
+    // 删除位置之后的元素可能成为组首
+    this._syncGroupHeaders([index]);
+    this._realignRows();
+    this._updateSpacers();
+    this._restoreAnchor(anchor);
+    if (isSelectionChanged) this._emitSelectionChange();
+  }
+
+  /**
+   * 将焦点移到指定项，未渲染时先滚动到该项（需要开启 accessibility）
+   * @param {number} index
+   * @returns {Promise<boolean>} 滚动停止后 resolve，是否已获得焦点
+   */
+  focusItem(index) {
+    // 未开启无障碍模式时列表项没有 tabindex，无法获得焦点
+    if (!this.ariaRole || index < 0 || index >= this.items.length) return Promise.resolve(false);
+    this.activeIndex = index;
+
+    const focus = () => {
+      const element = this.contentContainer.querySelector(`[data-index="${index}"]`);
+      if (!element) return false;
+      // 刚渲染的元素还没有 tabindex（无障碍属性在本轮渲染结束后才更新），先设置再聚焦
+      this.focusedElement = element;
+      this._updateAccessibility();
+      element.focus({ preventScroll: true });
+      return document.activeElement === element;
+    };
+    const scrolled = this.scrollToItem(index, { align: 'nearest' });
+    // 跳转渲染是同步的，立即聚焦；滚动停止后再确认一次
+    focus();
+    return scrolled.then(() => focus());
+  }
+
+  /**
+   * 选择数据项（需要开启 selection）
+   * @param {*|number} itemOrIndex - 数据项或索引
+   * @param {Object} options
+   * @param {boolean} options.toggle - 切换该项的选中状态，其他选中项保持不变（单选模式下只能取消选中该项）
+   * @param {boolean} options.range - 选择从上次选择的项到该项的范围（仅多选模式，同时指定 toggle 时保留原有的选中项）
+   */
+  select(itemOrIndex, options = {}) {
+    if (!this.options.selection) return;
+    const index = typeof itemOrIndex === 'number' ? itemOrIndex : this.items.indexOf(itemOrIndex);
+    const item = this.items[index];
+    if (index < 0 || item === undefined) return;
+
+    const key = this._getSelectionKey(item);
+    const isMultiple = this.options.selection === 'multiple';
+
+    if (isMultiple && options.range && this.selectionAnchor) {
+      const anchorIndex = this._findIndexBySelectionKey(this.selectionAnchor.key);
+      if (anchorIndex !== -1) {
+        if (!options.toggle) this.selectedKeys.clear();
+        const start = Math.min(anchorIndex, index);
+        const end = Math.max(anchorIndex, index);
+        for (let i = start; i <= end; i++) {
+          if (this.items[i] !== undefined) this.selectedKeys.add(this._getSelectionKey(this.items[i]));
+        }
+        // 范围选择不改变起点，连续的 Shift 选择都从同一项开始
+        this._commitSelection();
+        return;
+      }
+    }
+
+    if (options.toggle && this.selectedKeys.has(key)) {
+      this.selectedKeys.delete(key);
+    } else {
+      if (!isMultiple || !options.toggle) this.selectedKeys.clear();
+      this.selectedKeys.add(key);
+    }
+    this.selectionAnchor = { key };
+    this._commitSelection();
+  }
+
+  /**
+   * 取消选择数据项
+   * @param {*|number} itemOrIndex - 数据项或索引
+   */
+  deselect(itemOrIndex) {
+    const index = typeof itemOrIndex === 'number' ? itemOrIndex : this.items.indexOf(itemOrIndex);
+    const item = this.items[index];
+    if (index < 0 || !this._isItemSelected(item)) return;
+    this.selectedKeys.delete(this._getSelectionKey(item));
+    this._commitSelection();
+  }
+
+  /**
+   * 数据项是否被选中
+   * @param {*|number} itemOrIndex - 数据项或索引
+   * @returns {boolean}
+   */
+  isSelected(itemOrIndex) {
+    const item = typeof itemOrIndex === 'number' ? this.items[itemOrIndex] : itemOrIndex;
+    return this._isItemSelected(item);
+  }
+
+  /**
+   * 获取选中的数据项（按数据顺序，数据源模式下只包含已加载的数据）
+   * @returns {Array}
+   */
+  getSelection() {
+    if (this.selectedKeys.size === 0) return [];
+    return this.items.filter(item => this._isItemSelected(item));
+  }
+
+  /**
+   * 选择全部数据（仅多选模式，数据源模式下只选择已加载的数据）
+   */
+  selectAll() {
+    if (this.options.selection !== 'multiple') return;
+    this.items.forEach(item => {
+      if (item !== undefined) this.selectedKeys.add(this._getSelectionKey(item));
+    });
+    this._commitSelection();
+  }
+
+  /**
+   * 取消所有选择
+   */
+  clearSelection() {
+    this.selectionAnchor = null;
+    if (this.selectedKeys.size === 0) return;
+    this.selectedKeys.clear();
+    this._commitSelection();
+  }
+
+  /**
+   * 按选择 key 查找数据项的索引
+   * @param {*} key
+   * @returns {number}
+   */
+  _findIndexBySelectionKey(key) {
+    if (!this.options.getKey) return this.items.indexOf(key);
+    return this.items.findIndex(item => item !== undefined && this.options.getKey(item) === key);
+  }
+
+  /**
+   * 获取可序列化的滚动状态，用于离开页面后通过 restoreState 或 initialState 回到原来的位置
+   * @returns {Object} { anchorIndex, anchorOffset, anchorKey, align, atEnd, itemCount, columns, heights }
+   *   - anchorIndex / anchorOffset：视口中第一个可见元素的索引，以及视口顶部在该元素内的偏移
+   *   - anchorKey：提供 getKey 时锚点数据的 key（数据变化后按 key 查找锚点）
+   *   - atEnd：是否位于列表末尾（底部对齐模式下恢复到末尾）
+   *   - heights：已测量的高度 [[index, height], ...]
+   */
+  getState() {
+    const anchor = this.renderedStartIndex !== -1 ? this._captureAnchor() : null;
+    const state = {
+      anchorIndex: anchor ? anchor.index : 0,
+      anchorOffset: anchor ? anchor.offset : 0,
+      align: this.options.align,
+      atEnd: this.items.length > 0 && this.isAtScrollBottom(),
+      itemCount: this.items.length,
+      columns: this.columns,
+      heights: this.heightCache.getMeasured(),
+    };
+
+    const item = anchor ? this.items[anchor.index] : undefined;
+    if (this.options.getKey && item) {
+      state.anchorKey = this.options.getKey(item);
+    }
+    return state;
+  }
+
+  /**
+   * 恢复 getState 保存的滚动状态：导入高度缓存，并通过跳跃式渲染直接从锚点位置开始渲染
+   * @param {Object} state - getState() 的返回值
+   */
+  restoreState(state) {
+    if (!state) return;
+    this._stopScrollAnimation(false);
+
+    // 数据条数或列数变化后，缓存的索引可能已不对应原来的数据
+    if (Array.isArray(state.heights) && state.itemCount === this.items.length && state.columns === this.columns) {
+      this.heightCache.setMeasured(state.heights);
+    }
+
+    if (this.items.length === 0) {
+      this._updateVisibleItems();
+      return;
+    }
+
+    this.isUpdating = true;
+    if (state.align === 'bottom' && state.atEnd) {
+      // 底部对齐模式下离开时位于底部（例如聊天记录），回到底部以便继续接收新消息
+      this.renderFromBottom();
+    } else {
+      let index = state.anchorIndex;
+      if (state.anchorKey !== undefined && this.options.getKey) {
+        const { getKey } = this.options;
+        const found = this.items.findIndex(item => item !== undefined && getKey(item) === state.anchorKey);
+        if (found !== -1) index = found;
+      }
+      index = Math.max(0, Math.min(Math.floor(index) || 0, this.items.length - 1));
+      this._renderFromIndex(index, state.anchorOffset || 0);
+      this._adjustBottomAlign();
+    }
+    this.isUpdating = false;
+  }
+
+  /**
+   * 从 sessionStorage 读取 stateKey 对应的状态
+   * @returns {Object|null}
    */
-  remove(itemOrIndex) {
-    let index;
-
-    if (typeof itemOrIndex === 'number') {
-      index = itemOrIndex;
-    } else {
-      index = this.items.indexOf(itemOrIndex);
+  _loadStoredState() {
+    const { stateKey } = this.options;
+    if (!stateKey || typeof sessionStorage === 'undefined') return null;
+    try {
+      const value = sessionStorage.getItem(STATE_STORAGE_PREFIX + stateKey);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      // 存储不可用（例如隐私模式）或内容损坏时从头开始
+      return null;
     }
+  }
 
-    if (index < 0 || index >= this.items.length) return;
-
-    // 判断是否在已渲染范围内
-    const isInRenderedRange = this.renderedStartIndex !== -1 &&
-                              index >= this.renderedStartIndex &&
-                              index < this.renderedEndIndex;
+  /**
+   * 将当前状态保存到 sessionStorage
+   */
+  _saveState() {
+    const { stateKey } = this.options;
+    if (!stateKey || this.isDestroyed || typeof sessionStorage === 'undefined') return;
+    try {
+      sessionStorage.setItem(STATE_STORAGE_PREFIX + stateKey, JSON.stringify(this.getState()));
+    } catch (error) {
+      // 超出存储配额等情况下放弃保存
+    }
+  }
 
-    // 删除数据
-    this.items.splice(index, 1);
+  /**
+   * 滚动停止一段时间后保存状态
+   */
+  _scheduleStateSave() {
+    if (!this.options.stateKey) return;
+    if (this.saveStateTimer) clearTimeout(this.saveStateTimer);
+    this.saveStateTimer = setTimeout(() => {
+      this.saveStateTimer = null;
+      this._saveState();
+    }, STATE_SAVE_DELAY);
+  }
 
-    // 情况1：不在渲染范围内，只需调整索引
-    if (!isInRenderedRange) {
-      // 如果删除的位置在已渲染范围之前，需要调整索引
-      if (this.renderedStartIndex !== -1 && index < this.renderedStartIndex) {
-        this.renderedStartIndex--;
-        this.renderedEndIndex--;
-        // 更新所有已渲染元素的 data-index
-        this._updateRenderedIndices();
+  /**
+   * 批量修改数据：依次应用所有修改后只更新一次渲染范围，阅读位置保持不变
+   * 每个修改的索引基于前面的修改完成后的数据（与依次调用 insert / remove / setItem 相同）
+   * @param {Array<Object>} changes - 修改列表，每项为 { type, index, item }：
+   *   - insert：在 index 处插入 item（index 超出范围时插入到末尾）
+   *   - remove：删除 index 处的数据（也可以只提供 item，按数据项查找）
+   *   - update：将 index 处的数据替换为 item
+   */
+  applyChanges(changes) {
+    this._assertNotDataSource('applyChanges');
+    if (!changes || changes.length === 0) return;
+    changes.forEach(({ type }) => {
+      if (type !== 'insert' && type !== 'remove' && type !== 'update') {
+        throw new Error(`FastScrollView: Unknown change type "${type}"`);
       }
+    });
+    if (this.pendingChanges) {
+      this.pendingChanges.push(...changes);
       return;
     }
 
-    // 情况2：在可视范围内，移除 DOM 元素并补充
-    const elementToRemove = this.contentContainer.querySelector(`[data-index="${index}"]`);
-    if (elementToRemove) {
-      elementToRemove.remove();
-    }
+    const isRendered = this.renderedStartIndex !== -1;
+    const anchor = isRendered ? this._captureAnchor() : null;
+    // 锚点按数据跟踪：锚点数据被移动（先删除再插入）后视口跟随该数据
+    const anchorElement = anchor ? anchor.element : null;
+    const anchorData = anchorElement ? this.elementItems.get(anchorElement) : null;
+    const anchorOffset = anchor ? anchor.offset : 0;
+
+    // 渲染范围内每个位置对应的元素（element 为 null 表示需要新建，dirty 表示数据已更新）
+    let start = this.renderedStartIndex;
+    const slots = isRendered
+      ? Array.from(this.contentContainer.querySelectorAll('[data-index]')).map(element => ({ element, dirty: false }))
+      : [];
+    const removed = [];
+    const removedItems = [];
+    let isSelectionChanged = false;
+
+    // 新索引 -> 旧索引，所有修改完成后一次性重排高度缓存
+    const origins = new Array(this.items.length);
+    for (let i = 0; i < origins.length; i++) origins[i] = i;
+
+    changes.forEach(change => {
+      const { type, item } = change;
+      if (type === 'insert') {
+        if (item === undefined) return;
+        const index = change.index === undefined
+          ? this.items.length
+          : Math.max(0, Math.min(change.index, this.items.length));
+        this.items.splice(index, 0, item);
+        origins.splice(index, 0, -1);
+        this._shiftAnchor(anchor, index, 0, 1);
+        if (!isRendered) return;
+
+        if (index < start) {
+          start++;
+        } else if (index <= start + slots.length) {
+          slots.splice(index - start, 0, { element: null, dirty: false });
+        }
+      } else if (type === 'remove') {
+        const index = change.index !== undefined ? change.index : this.items.indexOf(item);
+        if (!(index >= 0 && index < this.items.length)) return;
+        removedItems.push(...this.items.splice(index, 1));
+        origins.splice(index, 1);
+        this._shiftAnchor(anchor, index, 1, 0);
+        if (!isRendered) return;
+
+        if (index < start) {
+          start--;
+        } else if (index < start + slots.length) {
+          const [slot] = slots.splice(index - start, 1);
+          if (slot.element) removed.push(slot.element);
+        }
+      } else {
+        const { index } = change;
+        if (!(index >= 0 && index < this.items.length)) return;
+        if (this._transferSelection(this.items[index], item)) isSelectionChanged = true;
+        this.items[index] = item;
+        origins[index] = -1;
+        if (isRendered && index >= start && index < start + slots.length) {
+          slots[index - start].dirty = true;
+        }
+      }
+    });
 
-    // 调整渲染范围
-    this.renderedEndIndex--;
+    this.heightCache.remap(origins);
+    // 移动的数据表现为先删除再插入，全部修改完成后再判断是否已删除
+    if (this._pruneSelection(removedItems)) isSelectionChanged = true;
 
-    // 更新后续元素的索引
-    this._updateRenderedIndices();
+    if (anchorData) {
+      const anchorIndex = this._findIndexBySelectionKey(this._getSelectionKey(anchorData.item));
+      if (anchorIndex !== -1) {
+        anchor.index = anchorIndex;
+        anchor.element = anchorElement;
+        anchor.offset = anchorOffset;
+      }
+    }
+    if (anchor) anchor.index = Math.min(anchor.index, this.items.length - 1);
 
-    // 尝试补充元素：优先向下，其次向上
-    let isSuccess = false;
+    if (!isRendered) {
+      this._updateVisibleItems();
+      if (isSelectionChanged) this._emitSelectionChange();
+      return;
+    }
 
-    // 优先向下补充
-    if (this.renderedEndIndex < this.items.length) {
-      const item = this.items[this.renderedEndIndex];
-      if (item !== undefined) {
-        const element = this._createItemElement(item, this.renderedEndIndex);
-        this.contentContainer.appendChild(element);
-        this.renderedEndIndex++;
-        isSuccess = true;
+    // 被删除的元素按 key 留待复用（数据移动表现为先删除再插入）
+    if (this.options.getKey) {
+      this.reusableElements = new Map();
+      removed.forEach(element => {
+        const data = this.elementItems.get(element);
+        if (data) this.reusableElements.set(data.key, element);
+      });
+    }
+    const replaced = [];
+    const entered = [];
+    const elements = slots.map((slot, i) => {
+      const index = start + i;
+      const item = this.items[index];
+      if (!slot.element) {
+        const element = this._createItemElement(item, index);
+        if (!removed.includes(element)) entered.push([element, item, index]);
+        return element;
+      }
+      if (!slot.dirty) {
+        slot.element.setAttribute('data-index', index);
+        return slot.element;
       }
+      if (this._reuseItemElement(slot.element, item, index, true)) return slot.element;
+      replaced.push(slot.element);
+      return this._createItemElement(item, index);
+    });
+    this.reusableElements = null;
+
+    // 被删除的元素播放离开动画，被替换的元素直接移除
+    const used = new Set(elements);
+    // 锚点元素不在新的渲染范围内（例如被移动到远处，或渲染范围已为空）时按索引恢复，必要时从锚点重新渲染
+    if (anchor && anchor.element && !used.has(anchor.element)) anchor.element = null;
+    removed.forEach(element => {
+      if (!used.has(element)) this._leaveItemElement(element);
+    });
+    replaced.forEach(element => this._removeItemElement(element));
+    this._arrangeElements(elements);
+    this.renderedStartIndex = start;
+    this.renderedEndIndex = start + elements.length;
+
+    // 组首状态可能在渲染范围内任意位置变化
+    const indices = [];
+    for (let i = start; i <= this.renderedEndIndex; i++) indices.push(i);
+    this._syncGroupHeaders(indices);
+
+    if (this.columns > 1) {
+      this._realignRows();
+    } else {
+      this._measureHeight(this.renderedStartIndex, this.renderedEndIndex);
     }
+    entered.forEach(([element, item, index]) => this._enterItemElement(element, item, index));
+    this._updateSpacers();
+    this._restoreAnchor(anchor);
+    this._adjustBottomAlign();
+    this._checkScrollBoundary();
+    if (isSelectionChanged) this._emitSelectionChange();
+  }
 
-    // 如果向下没有元素，尝试向上补充
-    if (!isSuccess && this.renderedStartIndex > 0) {
-      this.renderedStartIndex--;
-      const item = this.items[this.renderedStartIndex];
-      if (item !== undefined) {
-        const element = this._createItemElement(item, this.renderedStartIndex);
-        this.contentContainer.insertBefore(element, this.contentContainer.firstChild);
-      }
+  /**
+   * 批量修改数据：fn 中调用的 insert / append / prepend / remove / setItem 不会立即生效，
+   * fn 执行完后通过 applyChanges 一次性应用；fn 抛出异常时丢弃所有修改
+   * @param {Function} fn - 同步函数 (fastScrollView) => void
+   */
+  transaction(fn) {
+    // 嵌套的事务并入外层
+    if (this.pendingChanges) {
+      fn(this);
+      return;
+    }
+
+    const changes = [];
+    this.pendingChanges = changes;
+    try {
+      fn(this);
+    } finally {
+      this.pendingChanges = null;
     }
+    this.applyChanges(changes);
   }
 
   /**
    * 滚动到顶部（内部调用 scrollToItem(0)）
+   * @returns {Promise<boolean>}
    */
   scrollToTop() {
-    this.scrollToItem(0);
+    return this.scrollToItem(0);
   }
 
   /**
    * 滚动到底部
    * 从最后一项开始向前渲染，填满屏幕后滚动到真正的底部
+   * @returns {Promise<boolean>}
    */
   scrollToBottom() {
-    this.scrollToItem(this.items.length - 1, true);
+    return this.scrollToItem(this.items.length - 1, { align: 'end' });
   }
 
   /**
    * 滚动到指定项
    * @param {*|number} itemOrIndex - 数据项或索引
+   * @param {Object|boolean} options - 滚动选项（传入 boolean 时表示是否底部对齐，向后兼容）
+   * @param {string} options.align - 对齐方式 'start'(默认) | 'center' | 'end' | 'nearest'（已完整可见时不滚动）
+   * @param {number} options.offset - 在对齐位置的基础上额外滚动的距离（像素，可以为负数）
+   * @param {string} options.behavior - 'auto'(默认，直接跳转) 或 'smooth'（平滑滚动）
+   * @returns {Promise<boolean>} 滚动停止时 resolve：到达目标为 true，被用户操作或新的滚动打断为 false
    */
-  scrollToItem(itemOrIndex, alignBottom = false) {
+  scrollToItem(itemOrIndex, options = {}) {
+    if (typeof options === 'boolean') {
+      options = { align: options ? 'end' : 'start' };
+    }
+    const { offset = 0, behavior = 'auto' } = options;
+    let align = ({ top: 'start', bottom: 'end' })[options.align] || options.align || 'start';
+
     let targetIndex;
 
     if (typeof itemOrIndex === 'number') {
@@ -771,84 +3932,401 @@ class FastScrollView {
       targetIndex = this.items.indexOf(itemOrIndex);
     }
 
+    // 新的滚动打断进行中的滚动
+    this._stopScrollAnimation(false);
+
     if (targetIndex < 0 || targetIndex >= this.items.length) {
-      return;
+      return Promise.resolve(false);
+    }
+
+    if (align === 'nearest') {
+      align = this._getNearestAlign(targetIndex);
+      if (!align) return Promise.resolve(true);
+    }
+
+    if (behavior === 'smooth') {
+      return this._smoothScrollToIndex(targetIndex, align, offset);
     }
 
     // 优化：如果目标 item 已经渲染，直接滚动到该位置，不重新渲染
-    if (this.renderedStartIndex !== -1 &&
-        targetIndex >= this.renderedStartIndex &&
-        targetIndex < this.renderedEndIndex) {
+    const isRendered = this.renderedStartIndex !== -1 &&
+      targetIndex >= this.renderedStartIndex &&
+      targetIndex < this.renderedEndIndex &&
+      this.contentContainer.querySelector(`[data-index="${targetIndex}"]`);
+
+    if (!isRendered) {
+      const containerHeight = this._getViewportSize();
+
+      // 清空当前渲染
+      this._clearContent();
+
+      // 计算渲染范围：向上和向下都渲染 bufferThreshold 倍的屏幕高度（分帧渲染时缓冲区稍后填充）
+      const bufferHeight = this.options.frameBudget > 0 ? 0 : containerHeight * this.options.bufferThreshold;
+      const downTargetHeight = containerHeight + bufferHeight;  // 可见区域 + 下方缓冲
+      // 上方缓冲（居中或底部对齐时目标上方还需要填满一屏）
+      const upTargetHeight = align === 'start' ? bufferHeight : containerHeight + bufferHeight;
+
+      // 第一阶段：从目标项（网格模式下为所在行的行首）开始向下渲染
+      this.renderedStartIndex = this._getRowStart(targetIndex);
+      this.renderedEndIndex = this.renderedStartIndex;
+      const renderedHeight = this._expandDown(downTargetHeight);
+
+      // 第二阶段：从目标项向上渲染（接近列表末尾时下方不足一屏，由上方补足）
+      this._expandUp(Math.max(upTargetHeight, containerHeight - renderedHeight));
+      this._scheduleFill();
+    }
+
+    // 滚动到目标位置（上方占位符由预估高度撑开，以目标元素的实际位置为准）
+    // 下一帧再校正一次，此时新渲染的元素已完成测量
+    let frame = 0;
+    return this._animateScroll(() => {
+      this._setScrollPosition(this._getScrollTargetOf(targetIndex, align, offset));
+      frame++;
+      return frame >= 2;
+    });
+  }
 
-      const targetElement = this.contentContainer.querySelector(`[data-index="${targetIndex}"]`);
+  /**
+   * 平滑滚动到指定项
+   * 每一帧都重新计算目标位置（途中渲染的元素完成测量后目标位置会变化），
+   * 并从当前位置（可能被锚点补偿调整过）按剩余进度逼近目标
+   * @param {number} index
+   * @param {string} align - 'start' | 'center' | 'end'
+   * @param {number} offset
+   * @returns {Promise<boolean>}
+   */
+  _smoothScrollToIndex(index, align, offset) {
+    const distance = Math.abs(this._getScrollTargetOf(index, align, offset) - this._getScrollPosition());
+    const viewport = Math.max(1, this._getViewportSize());
+    const duration = Math.min(
+      SMOOTH_SCROLL_MAX_DURATION,
+      Math.max(SMOOTH_SCROLL_MIN_DURATION, distance / viewport * 150)
+    );
+    // easeInOutCubic
+    const ease = t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+    let startTime = null;
+    let previousEased = 0;
+    let arrived = false;
+    return this._animateScroll(time => {
+      const target = this._getScrollTargetOf(index, align, offset);
+      if (arrived) {
+        // 到达后再校正一次
+        this._setScrollPosition(target);
+        return true;
+      }
+
+      if (startTime === null) startTime = time;
+      const progress = Math.min(1, (time - startTime) / duration);
+      const eased = ease(progress);
+      const ratio = progress >= 1 ? 1 : (eased - previousEased) / (1 - previousEased);
+      previousEased = eased;
 
-      if (targetElement) {
-        // 计算目标元素的位置
-        let scrollTop;
+      const current = this._getScrollPosition();
+      this._setScrollPosition(current + (target - current) * ratio);
+      arrived = progress >= 1;
+      return false;
+    });
+  }
+
+  /**
+   * 逐帧执行滚动，直到 frame 返回 true
+   * 用户滚动（滚轮、触摸、拖动滚动条、键盘）或新的滚动会中止当前滚动
+   * @param {Function} frame - (time) => boolean，返回 true 表示滚动完成
+   * @returns {Promise<boolean>} 完成时为 true，被中止时为 false
+   */
+  _animateScroll(frame) {
+    return new Promise(resolve => {
+      // 已被处理的按键（例如键盘导航本身）不打断滚动
+      const onUserInput = (event) => {
+        if (!event.defaultPrevented) this._stopScrollAnimation(false);
+      };
+      const animation = {
+        raf: null,
+        resolve,
+        cleanup: () => {
+          USER_SCROLL_EVENTS.forEach(type => this.scrollElement.removeEventListener(type, onUserInput));
+        },
+      };
+      USER_SCROLL_EVENTS.forEach(type => {
+        this.scrollElement.addEventListener(type, onUserInput, { passive: true });
+      });
+      this.scrollAnimation = animation;
 
-        if (alignBottom) {
-          // 底部对齐：将元素底部对齐到容器底部
-          const elementBottom = targetElement.offsetTop + targetElement.offsetHeight;
-          scrollTop = elementBottom - this.container.clientHeight;
+      const tick = (time) => {
+        if (this.scrollAnimation !== animation) return;
+        if (frame(time)) {
+          this._stopScrollAnimation(true);
         } else {
-          // 顶部对齐：将元素顶部对齐到容器顶部
-          scrollTop = targetElement.offsetTop;
+          animation.raf = requestAnimationFrame(tick);
         }
+      };
+      animation.raf = requestAnimationFrame(tick);
+    });
+  }
 
-        // 平滑滚动到目标位置
-        requestAnimationFrame(() => {
-          this.container.scrollTop = scrollTop;
+  /**
+   * 停止进行中的滚动
+   * @param {boolean} reached - 是否已到达目标
+   */
+  _stopScrollAnimation(reached) {
+    const animation = this.scrollAnimation;
+    if (!animation) return;
+    this.scrollAnimation = null;
+    cancelAnimationFrame(animation.raf);
+    animation.cleanup();
+    animation.resolve(reached);
+  }
 
-          requestAnimationFrame(() => {
-            this.container.scrollTop = scrollTop;
-          });
-        });
+  /**
+   * 计算使指定项按 align 对齐所需的滚动位置（未渲染的元素使用预估位置）
+   * @param {number} index
+   * @param {string} align - 'start' | 'center' | 'end'
+   * @param {number} offset - 额外的滚动距离
+   * @returns {number}
+   */
+  _getScrollTargetOf(index, align, offset) {
+    const top = this._getItemTop(index);
+    const size = this._getItemHeight(index);
+    const viewport = this._getViewportSize();
+
+    let position = top;
+    if (align === 'end') {
+      position = top + size - viewport;
+    } else if (align === 'center') {
+      position = top + (size - viewport) / 2;
+    }
+    const max = Math.max(0, this._getScrollSize() - viewport);
+    return Math.max(0, Math.min(position + offset, max));
+  }
 
-        return;
+  /**
+   * nearest 对齐：已完整可见时不需要滚动，否则对齐到离目标较近的边缘
+   * @param {number} index
+   * @returns {string|null} 'start' | 'end'，不需要滚动时为 null
+   */
+  _getNearestAlign(index) {
+    const position = this._getScrollPosition();
+    const top = this._getItemTop(index);
+    const bottom = top + this._getItemHeight(index);
+    if (top >= position && bottom <= position + this._getViewportSize()) return null;
+    return top < position ? 'start' : 'end';
+  }
+
+  /**
+   * 滚动到指定分组的第一个元素（分组标题位于视口顶部）
+   * @param {*} key - getGroupKey 返回的分组
+   * @param {Object} options - 滚动选项，同 scrollToItem
+   * @returns {Promise<boolean>}
+   */
+  scrollToGroup(key, options = {}) {
+    if (this.isGrouped) {
+      for (let i = 0; i < this.items.length; i++) {
+        if (this._getGroupKey(i) === key) {
+          return this.scrollToItem(i, options);
+        }
       }
     }
+    return Promise.resolve(false);
+  }
+
+  /**
+   * 获取滚动偏移量
+   * @returns {number} 滚动偏移量
+   */
+  getScrollOffset() {
+    if (this.options.align !== 'bottom') {
+      return this._getScrollPosition();
+    }
+    const scrollTop = this._getScrollPosition();
+    const clientHeight = this._getViewportSize();
+    const scrollHeight = this._getScrollSize();
+    return scrollHeight - (scrollTop + clientHeight);
+  }
 
-    const containerHeight = this.container.clientHeight;
+  /**
+   * 获取当前视口中可见的元素范围（包括部分可见的元素）
+   * @returns {Object} { start, end, count, startOffset, endOffset }
+   *   - start: 第一个可见元素的索引
+   *   - end: 最后一个可见元素的索引 + 1
+   *   - count: 可见元素数量
+   *   - startOffset: 第一个可见元素顶部相对视口顶部的距离（部分可见时为负数）
+   *   - endOffset: 最后一个可见元素底部相对视口顶部的距离
+   */
+  getVisibleRange() {
+    if (this.items.length === 0 || this.renderedStartIndex === -1) {
+      return { start: -1, end: -1, count: 0, startOffset: 0, endOffset: 0 };
+    }
 
-    // 清空当前渲染
-    this.contentContainer.innerHTML = '';
+    const scrollTop = this._getScrollPosition();
+    const viewportBottom = scrollTop + this._getViewportSize();
+
+    const start = this._getIndexAtPosition(scrollTop);
+    const last = Math.max(start, this._getIndexAtPosition(Math.max(scrollTop, viewportBottom - 1)));
+    const startTop = this._getItemTop(start);
+    const lastBottom = this._getItemTop(last) + this._getItemHeight(last);
+    // 网格模式下包含最后一行的全部元素
+    const end = Math.min(this._getRowStart(last) + this.columns, this.items.length);
+
+    return {
+      start,
+      end,
+      count: end - start,
+      startOffset: startTop - scrollTop,
+      endOffset: lastBottom - scrollTop,
+    };
+  }
 
-    // 计算渲染范围：向上和向下都渲染 bufferThreshold 倍的屏幕高度
-    const bufferHeight = containerHeight * this.options.bufferThreshold;
-    const downTargetHeight = containerHeight + bufferHeight;  // 可见区域 + 下方缓冲
-    const upTargetHeight = bufferHeight;  // 上方缓冲
+  /**
+   * 判断是否滚动到底部（列表末尾可见）
+   * @param {number} threshold - 容差（像素，默认 10）
+   * @returns {boolean}
+   */
+  isAtScrollBottom(threshold = 10) {
+    const scrollBottom = this._getScrollPosition() + this._getViewportSize();
+    return this._getScrollSize() - scrollBottom <= threshold;
+  }
 
-    // 第一阶段：从目标项开始向下渲染
-    this.renderedStartIndex = targetIndex;
-    this.renderedEndIndex = targetIndex;
-    this._expandDown(downTargetHeight);
+  /**
+   * 判断是否滚动到顶部（列表开头可见）
+   * @param {number} threshold - 容差（像素，默认 10）
+   * @returns {boolean}
+   */
+  isAtScrollTop(threshold = 10) {
+    return this._getScrollPosition() <= threshold;
+  }
 
-    // 第二阶段：从目标项向上渲染
-    const prependHeight = this._expandUp(upTargetHeight);
+  /**
+   * 获取容器坐标系中某个位置所在元素的索引
+   * 位于已渲染区域时使用 DOM 的实际位置，位于占位区域时使用高度缓存
+   * @param {number} position - 相对容器内容顶部的位置
+   * @returns {number}
+   */
+  _getIndexAtPosition(position) {
+    const contentTop = this._getOffsetStart(this.contentContainer);
+    const contentBottom = contentTop + this._getOffsetSize(this.contentContainer);
+    const lastIndex = this.items.length - 1;
+
+    // 上方占位区域
+    if (position < contentTop && this.renderedStartIndex > 0) {
+      const index = this.heightCache.getIndexAtOffset(position - this._getOffsetStart(this.topSpacer));
+      return this._getRowStart(Math.min(index, this.renderedStartIndex - 1));
+    }
 
-    // 滚动到目标位置
-    requestAnimationFrame(() => {
-      const targetScrollTop = alignBottom ? this.container.scrollHeight : prependHeight;
-      this.container.scrollTop = targetScrollTop;
+    // 下方占位区域
+    if (position >= contentBottom && this.renderedEndIndex <= lastIndex) {
+      const offset = this.heightCache.getOffset(this.renderedEndIndex) + position - this._getOffsetStart(this.bottomSpacer);
+      return this._getRowStart(Math.max(this.heightCache.getIndexAtOffset(offset), this.renderedEndIndex));
+    }
 
-      requestAnimationFrame(() => {
-        this.container.scrollTop = targetScrollTop;
-      });
-    });
+    // 已渲染区域：在子元素中二分查找第一个底部超过该位置的元素
+    const children = this.contentContainer.querySelectorAll('[data-index]');
+    if (children.length === 0) {
+      return Math.max(0, Math.min(this.renderedStartIndex, lastIndex));
+    }
+    let low = 0;
+    let high = children.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      const element = children[middle];
+      if (this._getOffsetStart(element) + this._getOffsetSize(element) > position) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return parseInt(children[low].getAttribute('data-index'), 10);
   }
 
   /**
-   * 获取滚动偏移量
-   * @returns {number} 滚动偏移量
+   * 获取元素顶部在容器坐标系中的位置（未渲染的元素按高度缓存推算）
+   * @param {number} index
+   * @returns {number}
    */
-  getScrollOffset() {
-    if (this.options.align !== 'bottom') {
-      return this.container.scrollTop;
+  _getItemTop(index) {
+    // 同一行的元素顶部相同
+    const rowStart = this._getRowStart(index);
+    if (index < this.renderedStartIndex) {
+      return this._getOffsetStart(this.topSpacer) + this.heightCache.getOffset(rowStart);
     }
-    const scrollTop = this.container.scrollTop;
-    const clientHeight = this.container.clientHeight;
-    const scrollHeight = this.container.scrollHeight;
-    return scrollHeight - (scrollTop + clientHeight);
+    if (index >= this.renderedEndIndex) {
+      return this._getOffsetStart(this.bottomSpacer) + this.heightCache.sum(this.renderedEndIndex, rowStart);
+    }
+    const element = this.contentContainer.querySelector(`[data-index="${index}"]`);
+    return element
+      ? this._getOffsetStart(element)
+      : this._getOffsetStart(this.topSpacer) + this.heightCache.getOffset(rowStart);
+  }
+
+  /**
+   * 获取元素高度（已渲染的读取 DOM，未渲染的使用高度缓存）
+   * @param {number} index
+   * @returns {number}
+   */
+  _getItemHeight(index) {
+    if (index >= this.renderedStartIndex && index < this.renderedEndIndex) {
+      const element = this.contentContainer.querySelector(`[data-index="${index}"]`);
+      if (element) return this._getOffsetSize(element);
+    }
+    return this._getRowHeight(index);
+  }
+
+  /**
+   * 根据偏移量获取所在元素的索引（O(log n)）
+   * 偏移量相对于列表顶部，未测量的元素按预估高度计算；网格模式下返回所在行第一个元素的索引
+   * @param {number} offset - 像素偏移
+   * @returns {number} 元素索引，列表为空时返回 -1
+   */
+  getIndexAtOffset(offset) {
+    if (this.items.length === 0) return -1;
+    return this._getRowStart(this.heightCache.getIndexAtOffset(Math.max(0, offset)));
+  }
+
+  /**
+   * 查找滚动位置对应的起始索引
+   * 旧版会清空内容并逐批渲染测量；现直接基于高度缓存查找，不再触发渲染
+   * @deprecated 请使用 getIndexAtOffset(offset)
+   * @param {number} scrollTop - 滚动位置
+   * @returns {number} 元素索引，列表为空时返回 0
+   */
+  findStartIndexByRendering(scrollTop) {
+    return Math.max(0, this.getIndexAtOffset(scrollTop));
+  }
+
+  /**
+   * 获取元素顶部相对于列表顶部的偏移（O(log n)）
+   * 未测量的元素按预估高度计算；网格模式下为所在行的顶部
+   * @param {number} index - 元素索引
+   * @returns {number} 像素偏移
+   */
+  getOffsetOfIndex(index) {
+    return this.heightCache.getOffset(this._getRowStart(index));
+  }
+
+  /**
+   * 获取性能计数（自创建或上次 resetStats() 以来）
+   * @returns {Object} { renders, measurements, layoutReads, renderTime, measureTime }
+   *   renders 为 render 调用次数，measurements 为测量高度的元素数，
+   *   layoutReads 为读取布局信息（尺寸、位置、滚动位置）的次数，DOM 有未完成的修改时每次读取都会触发同步重排，
+   *   renderTime、measureTime 为 render 调用和测量高度的累计耗时（毫秒）
+   */
+  getStats() {
+    return Object.assign({}, this.stats);
+  }
+
+  /**
+   * 清零性能计数
+   */
+  resetStats() {
+    this.stats = this._createStats();
+  }
+
+  /**
+   * 创建清零的性能计数
+   * @returns {Object}
+   */
+  _createStats() {
+    return { renders: 0, measurements: 0, layoutReads: 0, renderTime: 0, measureTime: 0 };
   }
 
   /**
@@ -861,22 +4339,27 @@ class FastScrollView {
       return;
     }
 
-    // 保存当前滚动位置
-    const scrollTop = this.container.scrollTop;
+    // 记录阅读位置
+    const anchor = this._captureAnchor();
 
-    // 重新渲染当前范围内的所有元素
+    // 重新渲染当前范围内的所有元素（提供 update 时原地更新）
     for (let i = this.renderedStartIndex; i < this.renderedEndIndex; i++) {
       const existingElement = this.contentContainer.querySelector(`[data-index="${i}"]`);
       if (existingElement && this.items[i] !== undefined) {
+        if (this._reuseItemElement(existingElement, this.items[i], i, true)) continue;
         const newElement = this._createItemElement(this.items[i], i);
-        existingElement.replaceWith(newElement);
+        this._replaceItemElement(existingElement, newElement);
       }
     }
 
-    // 恢复滚动位置
-    requestAnimationFrame(() => {
-      this.container.scrollTop = scrollTop;
-    });
+    if (this.stickyHeader) {
+      this.stickyHeader.innerHTML = '';
+    }
+
+    // 重新测量高度，并恢复阅读位置
+    this._measureHeight(this.renderedStartIndex, this.renderedEndIndex);
+    this._updateSpacers();
+    this._restoreAnchor(anchor);
   }
 
   /**
@@ -884,28 +4367,174 @@ class FastScrollView {
    * 适用场景：需要完全重新渲染整个视图
    */
   reset() {
+    const anchor = this._captureAnchor();
     this.renderedStartIndex = -1;
     this.renderedEndIndex = -1;
-    this.contentContainer.innerHTML = '';
+    this._clearContent();
+
+    if (anchor) {
+      this._renderFromIndex(anchor.index, anchor.offset);
+      return;
+    }
     this._updateVisibleItems();
   }
 
+  /**
+   * 手动请求远程数据（调用 onReachEnd / onReachStart）
+   * 与滚动触发的请求共享去重：同一方向进行中的请求会直接返回
+   * @param {string} direction - 'end'（默认）或 'start'
+   * @returns {Promise<void>}
+   */
+  loadMore(direction = 'end') {
+    return this._loadRemote(direction);
+  }
+
+  /**
+   * 重试失败的远程请求
+   * @param {string} direction - 'start' 或 'end'，不传时重试所有失败的方向
+   * @returns {Promise<void>}
+   */
+  retry(direction) {
+    const directions = direction ? [direction] : ['start', 'end'];
+    return Promise.all(
+      directions
+        .filter(d => this.loadErrors[d])
+        .map(d => this._loadRemote(d))
+    ).then(() => undefined);
+  }
+
+  /**
+   * 设置指定方向是否还有更多数据
+   * @param {string} direction - 'start' 或 'end'
+   * @param {boolean} hasMore
+   */
+  setHasMore(direction, hasMore) {
+    this.hasMore[direction] = !!hasMore;
+    if (hasMore) {
+      // 可能已经停在边界上，立即检查是否需要加载
+      this._checkScrollBoundary();
+    } else if (!this.remoteLoads[direction]) {
+      this.loadErrors[direction] = null;
+      this._syncLoaderState(direction);
+    }
+  }
+
+  /**
+   * 数据源模式下数据按页缓存在固定位置，插入/删除会使已加载的页和进行中的请求错位，不支持
+   * @param {string} method - 调用的方法名
+   */
+  _assertNotDataSource(method) {
+    if (this.pageCache) {
+      throw new Error(`FastScrollView: ${method} is not supported with the loadRange option`);
+    }
+  }
+
+  /**
+   * 修改数据源模式的数据总数（例如日志持续增长）
+   * @param {number} count
+   */
+  setTotalCount(count) {
+    if (!this.pageCache) {
+      throw new Error('FastScrollView: setTotalCount requires the loadRange option');
+    }
+    const oldLength = this.items.length;
+    const newLength = Math.max(0, count || 0);
+    if (newLength === oldLength) return;
+
+    const anchor = this._captureAnchor();
+
+    // 末尾的页可能不完整，标记为未加载以便重新请求；进行中的请求结果已过期
+    const keptLength = Math.min(oldLength, newLength);
+    if (keptLength > 0) {
+      const lastPage = this.pageCache.getPage(keptLength - 1);
+      this.pageCache.delete(lastPage);
+      this.pageCache.deleteRequest(lastPage);
+    }
+
+    this.items.length = newLength;
+    this.heightCache.splice(keptLength, oldLength - keptLength, newLength - keptLength);
+
+    this.renderedStartIndex = -1;
+    this.renderedEndIndex = -1;
+    this._clearContent();
+
+    if (anchor && newLength > 0) {
+      this._renderFromIndex(Math.min(anchor.index, newLength - 1), anchor.offset);
+    } else {
+      this._updateVisibleItems();
+    }
+    this._adjustBottomAlign();
+  }
+
   /**
    * 销毁实例
    */
   destroy() {
+    // 销毁前保存滚动状态（内容清空后无法再获取）
+    if (this.options.stateKey) {
+      this._saveState();
+    }
+    if (this.saveStateTimer) {
+      clearTimeout(this.saveStateTimer);
+      this.saveStateTimer = null;
+    }
+    if (this.boundSaveState) {
+      window.removeEventListener('pagehide', this.boundSaveState);
+      this.boundSaveState = null;
+    }
+
     // 使用保存的函数引用来正确移除事件监听器
     if (this.boundHandleScroll) {
-      this.container.removeEventListener('scroll', this.boundHandleScroll);
+      this.scrollElement.removeEventListener('scroll', this.boundHandleScroll);
+    }
+    if (this.boundHandleWindowResize) {
+      window.removeEventListener('resize', this.boundHandleWindowResize);
+      this.boundHandleWindowResize = null;
     }
+    this._toggleWheelHandler(false);
 
     // 清理所有定时器和动画帧
     if (this.scrollRaf) {
       cancelAnimationFrame(this.scrollRaf);
     }
+    this._stopScrollAnimation(false);
+    this._cancelFill();
+
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+    this.dwellTimers.forEach(timer => clearTimeout(timer));
+    this.dwellTimers.clear();
+    this.tallElements.clear();
+    this.visibleElements.clear();
+    this.leavingElements.clear();
+    if (this.visibilityRaf) {
+      cancelAnimationFrame(this.visibilityRaf);
+      this.visibilityRaf = null;
+    }
+
+    this.isDestroyed = true;
+    this.remoteLoads = { start: null, end: null };
+    if (this.loadPagesRaf) {
+      cancelAnimationFrame(this.loadPagesRaf);
+      this.loadPagesRaf = null;
+    }
+    if (this.pageCache) {
+      this.pageCache.clear();
+    }
 
     this.container.innerHTML = '';
     this.items = [];
+    this.heightCache.reset(0);
+    this.selectedKeys.clear();
+    this.selectionAnchor = null;
+    this.elementPool.clear();
   }
 }
 
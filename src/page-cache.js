@@ -0,0 +1,137 @@
+/**
+ * PageCache - 数据源模式下按页记录已加载的数据
+ *
+ * - 数据按固定大小分页，页码 = Math.floor(index / pageSize)
+ * - 已加载的页按最近使用顺序保存（Map 的插入顺序），超出 maxPages 时淘汰最久未使用的页
+ * - 同一页同时只有一个请求
+ *
+ * 只记录页的状态，数据本身由调用方保存
+ *
+ * @class
+ */
+class PageCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.pageSize - 每页的数据条数
+   * @param {number} options.maxPages - 最多缓存的页数
+   */
+  constructor(options = {}) {
+    this.pageSize = Math.max(1, options.pageSize || 100);
+    this.maxPages = Math.max(1, options.maxPages || 50);
+
+    this.pages = new Map();    // page -> true，按最近使用排序
+    this.requests = new Map(); // page -> 进行中的 Promise
+  }
+
+  /**
+   * 获取索引所在的页码
+   * @param {number} index
+   * @returns {number}
+   */
+  getPage(index) {
+    return Math.floor(index / this.pageSize);
+  }
+
+  /**
+   * 获取页的索引范围 [start, end)
+   * @param {number} page
+   * @param {number} total - 数据总数
+   * @returns {Array<number>} [start, end]
+   */
+  getRange(page, total) {
+    const start = page * this.pageSize;
+    return [start, Math.min(start + this.pageSize, total)];
+  }
+
+  /**
+   * 页是否已加载
+   * @param {number} page
+   * @returns {boolean}
+   */
+  has(page) {
+    return this.pages.has(page);
+  }
+
+  /**
+   * 标记页为最近使用（页未加载时不做任何事）
+   * @param {number} page
+   */
+  touch(page) {
+    if (!this.pages.has(page)) return;
+    this.pages.delete(page);
+    this.pages.set(page, true);
+  }
+
+  /**
+   * 记录已加载的页
+   * @param {number} page
+   */
+  add(page) {
+    this.pages.delete(page);
+    this.pages.set(page, true);
+  }
+
+  /**
+   * 移除已加载的页（页的数据不完整或已失效时）
+   * @param {number} page
+   */
+  delete(page) {
+    this.pages.delete(page);
+  }
+
+  /**
+   * 淘汰超出上限的页（从最久未使用的开始）
+   * @param {Function} isProtected - (page) => boolean，返回 true 的页不会被淘汰（例如正在显示的页）
+   * @returns {Array<number>} 被淘汰的页
+   */
+  evict(isProtected) {
+    const evicted = [];
+    let excess = this.pages.size - this.maxPages;
+    if (excess <= 0) return evicted;
+
+    for (const page of this.pages.keys()) {
+      if (excess <= 0) break;
+      if (isProtected(page)) continue;
+      evicted.push(page);
+      excess--;
+    }
+    evicted.forEach(page => this.pages.delete(page));
+    return evicted;
+  }
+
+  /**
+   * 获取页的进行中请求
+   * @param {number} page
+   * @returns {Promise|undefined}
+   */
+  getRequest(page) {
+    return this.requests.get(page);
+  }
+
+  /**
+   * 记录页的请求
+   * @param {number} page
+   * @param {Promise} promise
+   */
+  setRequest(page, promise) {
+    this.requests.set(page, promise);
+  }
+
+  /**
+   * 请求结束后移除记录
+   * @param {number} page
+   */
+  deleteRequest(page) {
+    this.requests.delete(page);
+  }
+
+  /**
+   * 清空所有页和请求记录
+   */
+  clear() {
+    this.pages.clear();
+    this.requests.clear();
+  }
+}
+
+export default PageCache;